@@ -0,0 +1,103 @@
+/*
+ * The moesifapi ApiController reads the application id, collector url and
+ * user agent from its module level configuration. To let several middleware
+ * instances with different settings live in one process, the api client
+ * swaps in the configuration of its instance for the duration of each call.
+ *
+ * This is safe because the ApiController reads the configuration
+ * synchronously while building the request.
+ *
+ * retry is the exception: moesifapi sets up retries on the global axios once,
+ * for all instances in the process. So moesifapi always gets a retry of 0 and
+ * the api client retries the calls of its instance itself, the same way.
+ */
+
+var moesifapi = require('moesifapi');
+
+var CONFIGURATION_KEYS = ['ApplicationId', 'BaseUri', 'UserAgent', 'retry'];
+
+// the calls that only read, retried on server errors too.
+var READ_METHODS = ['getAppConfig', 'getRules'];
+
+/**
+ * Whether a failed call is retried, as moesifapi did with axios-retry: network errors
+ * other than timeouts, and server errors of the calls that only read.
+ * @param {string} methodName
+ * @param {object} err - from moesifapi.
+ * @param {object} [context] - the http context of the call.
+ * @returns {boolean}
+ */
+function isRetryable(methodName, err, context) {
+  var statusCode = context && context.response && context.response.statusCode;
+  if (typeof statusCode !== 'number') {
+    return err.errorCode !== 'ECONNABORTED';
+  }
+  return statusCode >= 500 && READ_METHODS.indexOf(methodName) !== -1;
+}
+
+// exponential, like the retryDelay moesifapi used.
+function retryDelay(retryNumber) {
+  var delay = Math.pow(2, retryNumber) * 100;
+  return delay + delay * 0.2 * Math.random();
+}
+
+/**
+ * @param {object} clientConfig
+ * @param {string} clientConfig.ApplicationId
+ * @param {string} clientConfig.BaseUri
+ * @param {string} clientConfig.UserAgent
+ * @param {number} [clientConfig.retry]
+ * @returns {object} with the same methods as moesifapi.ApiController
+ */
+function createApiClient(clientConfig) {
+  var controller = moesifapi.ApiController;
+  var globalConfig = moesifapi.configuration;
+
+  var retries = clientConfig.retry || 0;
+  var moesifapiConfig = Object.assign({}, clientConfig, { retry: 0 });
+
+  var withClientConfig = function (call) {
+    var saved = {};
+    CONFIGURATION_KEYS.forEach(function (key) {
+      saved[key] = globalConfig[key];
+      globalConfig[key] = moesifapiConfig[key];
+    });
+    try {
+      return call();
+    } finally {
+      CONFIGURATION_KEYS.forEach(function (key) {
+        globalConfig[key] = saved[key];
+      });
+    }
+  };
+
+  var client = { configuration: clientConfig };
+  Object.keys(controller).forEach(function (methodName) {
+    if (typeof controller[methodName] === 'function') {
+      client[methodName] = function () {
+        var args = Array.prototype.slice.call(arguments);
+        var callback = args[args.length - 1];
+        var retryNumber = 0;
+        var send = function () {
+          return withClientConfig(function () {
+            return controller[methodName].apply(controller, args);
+          });
+        };
+        if (retries > 0 && typeof callback === 'function') {
+          args[args.length - 1] = function (err, response, context) {
+            if (err && retryNumber < retries && isRetryable(methodName, err, context)) {
+              retryNumber += 1;
+              setTimeout(send, retryDelay(retryNumber));
+              return;
+            }
+            callback(err, response, context);
+          };
+        }
+        return send();
+      };
+    }
+  });
+  return client;
+}
+
+module.exports = createApiClient;
@@ -0,0 +1,150 @@
+/*
+ * Sends event batches to the collector with a configurable Content-Encoding.
+ *
+ * moesifapi always gzips request bodies. This sender is used instead when
+ * batchCompression is set, it can use brotli, skip compressing small batches,
+ * and calls back the same way ApiController.createEventsBatch does.
+ */
+
+var http = require('http');
+var https = require('https');
+var zlib = require('zlib');
+
+var COMPRESSIONS = {
+  GZIP: 'gzip',
+  BROTLI: 'br',
+  NONE: 'none',
+};
+
+var DEFAULT_COMPRESSION_THRESHOLD = 1024;
+var REQUEST_TIMEOUT = 10000;
+
+var keepAliveAgents = {
+  'http:': new http.Agent({ keepAlive: true, maxSockets: 25 }),
+  'https:': new https.Agent({ keepAlive: true, maxSockets: 25 }),
+};
+
+function compressBody(body, compression, threshold, callback) {
+  if (compression === COMPRESSIONS.NONE || Buffer.byteLength(body) < threshold) {
+    callback(Buffer.from(body), null);
+    return;
+  }
+  var compress = compression === COMPRESSIONS.BROTLI ? zlib.brotliCompress : zlib.gzip;
+  compress(body, function (err, compressed) {
+    if (err) {
+      // send it uncompressed rather than not at all.
+      callback(Buffer.from(body), null);
+    } else {
+      callback(compressed, compression);
+    }
+  });
+}
+
+function parseBody(buffer) {
+  var text = buffer.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch {
+    // e.g. an html error page from a proxy.
+    return text;
+  }
+}
+
+/**
+ * @param {object} senderOptions
+ * @param {string} senderOptions.baseUri
+ * @param {string} senderOptions.applicationId
+ * @param {string} senderOptions.userAgent
+ * @param {string} [senderOptions.compression] - gzip, br or none, default gzip.
+ * @param {number} [senderOptions.compressionThreshold] - bodies smaller than this many bytes are sent uncompressed, default 1024.
+ */
+function createBatchSender(senderOptions) {
+  var compression = senderOptions.compression || COMPRESSIONS.GZIP;
+  var threshold = senderOptions.compressionThreshold;
+  if (typeof threshold !== 'number') {
+    threshold = DEFAULT_COMPRESSION_THRESHOLD;
+  }
+  var batchUrl = new URL(senderOptions.baseUri.replace(/\/+$/, '') + '/v1/events/batch');
+  var transport = batchUrl.protocol === 'http:' ? http : https;
+
+  return {
+    /**
+     * @param {object[]} events - EventModel instances
+     * @param {(err: object, response?: object, context?: object) => void} callback
+     */
+    createEventsBatch: function (events, callback) {
+      var body = JSON.stringify(events);
+      compressBody(body, compression, threshold, function (data, encoding) {
+        var headers = {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Length': data.length,
+          'X-Moesif-Application-Id': senderOptions.applicationId,
+          'User-Agent': senderOptions.userAgent,
+        };
+        if (encoding) {
+          headers['Content-Encoding'] = encoding;
+        }
+        var context = { request: { queryUrl: batchUrl.href, headers: headers }, response: null };
+        var finished = false;
+        var finish = function (err, response) {
+          if (!finished) {
+            finished = true;
+            callback(err, response, context);
+          }
+        };
+
+        var req = transport.request(
+          {
+            protocol: batchUrl.protocol,
+            hostname: batchUrl.hostname,
+            port: batchUrl.port,
+            path: batchUrl.pathname + batchUrl.search,
+            method: 'POST',
+            headers: headers,
+            agent: keepAliveAgents[batchUrl.protocol],
+            timeout: REQUEST_TIMEOUT,
+          },
+          function (res) {
+            var chunks = [];
+            res.on('data', function (chunk) {
+              chunks.push(chunk);
+            });
+            res.on('error', function (err) {
+              finish({ errorMessage: err.message, errorCode: err.code });
+            });
+            res.on('end', function () {
+              var response = {
+                statusCode: res.statusCode,
+                headers: res.headers,
+                body: parseBody(Buffer.concat(chunks)),
+              };
+              context.response = response;
+              if (res.statusCode >= 200 && res.statusCode <= 206) {
+                finish(null, response);
+              } else {
+                finish({
+                  errorMessage: 'HTTP Response Not OK',
+                  errorCode: res.statusCode,
+                  errorResponse: response.body,
+                });
+              }
+            });
+          }
+        );
+        req.on('timeout', function () {
+          var timeoutError = new Error('timeout of ' + REQUEST_TIMEOUT + 'ms exceeded');
+          timeoutError.code = 'ECONNABORTED';
+          req.destroy(timeoutError);
+        });
+        req.on('error', function (err) {
+          finish({ errorMessage: err.message, errorCode: err.code });
+        });
+        req.end(data);
+      });
+    },
+  };
+}
+
+createBatchSender.COMPRESSIONS = COMPRESSIONS;
+
+module.exports = createBatchSender;
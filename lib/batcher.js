@@ -1,13 +1,69 @@
-function createBatcher(handleBatch, maxSize, maxTime) {
+var DROP_POLICIES = {
+  DROP_OLDEST: 'drop-oldest',
+  DROP_NEWEST: 'drop-newest',
+  SAMPLE_DOWN: 'sample-down',
+};
+
+function sumSizes(sizes) {
+  return sizes.reduce(function (sum, size) {
+    return sum + size;
+  }, 0);
+}
+
+/**
+ * @param {function} handleBatch - called with (dataArray, done), done must be called once sent.
+ * @param {number} maxSize
+ * @param {number} maxTime
+ * @param {object} [batcherOptions]
+ * @param {number} [batcherOptions.maxQueueSize] - maximum number of queued items, unbounded if not set.
+ * @param {number} [batcherOptions.maxInFlight] - maximum number of batches being sent at the same time, unbounded if not set.
+ * @param {string} [batcherOptions.dropPolicy] - what to drop once the queue is full, default drop-oldest.
+ * @param {function} [batcherOptions.onDrop] - called with (droppedCount, dropPolicy) whenever items are dropped.
+ * @param {number} [batcherOptions.retryMaxAge] - retry failed batches for up to this many milliseconds, no retry if not set.
+ * @param {number} [batcherOptions.retryBaseDelay] - delay before the first retry, default 1000.
+ * @param {number} [batcherOptions.retryMaxDelay] - upper bound of the delay between retries, default 30000.
+ * @param {function} [batcherOptions.onGiveUp] - called with (dataArray, err) when a batch failed for good.
+ * @param {number} [batcherOptions.maxBytes] - maximum size of a batch as measured by sizeOf, unbounded if not set.
+ * @param {function} [batcherOptions.sizeOf] - returns the size of an item in bytes, required for maxBytes.
+ */
+function createBatcher(handleBatch, maxSize, maxTime, batcherOptions) {
+  var maxQueueSize = (batcherOptions && batcherOptions.maxQueueSize) || Infinity;
+  var maxInFlight = (batcherOptions && batcherOptions.maxInFlight) || Infinity;
+  var dropPolicy = (batcherOptions && batcherOptions.dropPolicy) || DROP_POLICIES.DROP_OLDEST;
+  var onDrop = batcherOptions && batcherOptions.onDrop;
+  var retryMaxAge = (batcherOptions && batcherOptions.retryMaxAge) || 0;
+  var retryBaseDelay = (batcherOptions && batcherOptions.retryBaseDelay) || 1000;
+  var retryMaxDelay = (batcherOptions && batcherOptions.retryMaxDelay) || 30000;
+  var onGiveUp = batcherOptions && batcherOptions.onGiveUp;
+  var maxBytes = (batcherOptions && batcherOptions.maxBytes) || Infinity;
+  var sizeOf = batcherOptions && batcherOptions.sizeOf;
+
   return {
     dataArray: [],
+    // sizes of the items in dataArray, kept at the same index.
+    _itemSizes: [],
+    _queuedBytes: 0,
+    // number of batches handed to handleBatch that have not called back yet.
+    _inFlight: 0,
+    _dropped: 0,
+    _idleWaiters: [],
     // using closure, so no need to keep as part of the object.
     // maxSize: maxSize,
     // maxTime: maxTime,
     /** @type {any} */
     add: function (data) {
+      if (this.dataArray.length >= maxQueueSize && !this._makeRoom()) {
+        return;
+      }
+      var size = sizeOf ? sizeOf(data) : 0;
+      if (this.dataArray.length > 0 && this._queuedBytes + size > maxBytes) {
+        // send what is queued first, instead of going over the byte budget.
+        this.flush();
+      }
       this.dataArray.push(data);
-      if (this.dataArray.length >= maxSize) {
+      this._itemSizes.push(size);
+      this._queuedBytes += size;
+      if (this.dataArray.length >= maxSize || this._queuedBytes >= maxBytes) {
         this.flush();
       } else if (maxTime && this.dataArray.length === 1) {
         var self = this;
@@ -16,20 +72,196 @@ function createBatcher(handleBatch, maxSize, maxTime) {
         }, maxTime);
       }
     },
+    /**
+     * Applies the drop policy to a full queue.
+     * Returns false if the incoming item should be dropped instead.
+     * @type {any}
+     */
+    _makeRoom: function () {
+      var droppedCount;
+      if (dropPolicy === DROP_POLICIES.DROP_NEWEST) {
+        this._recordDrop(1);
+        return false;
+      }
+      if (dropPolicy === DROP_POLICIES.SAMPLE_DOWN && this.dataArray.length > 1) {
+        // keep every other item, the kept items now stand for the dropped ones,
+        // so double their weight the same way sampling does.
+        var isKept = function (item, index) {
+          return index % 2 === 0;
+        };
+        var kept = this.dataArray.filter(isKept);
+        kept.forEach(function (item) {
+          if (item && typeof item.weight === 'number') {
+            item.weight = item.weight * 2;
+          }
+        });
+        droppedCount = this.dataArray.length - kept.length;
+        this.dataArray = kept;
+        this._itemSizes = this._itemSizes.filter(isKept);
+        this._queuedBytes = sumSizes(this._itemSizes);
+        this._recordDrop(droppedCount);
+      }
+      // with sample-down too, as halving a queue of one or two items leaves no room.
+      while (this.dataArray.length > 0 && this.dataArray.length >= maxQueueSize) {
+        this.dataArray.shift();
+        this._queuedBytes -= this._itemSizes.shift();
+        this._recordDrop(1);
+      }
+      return true;
+    },
     /** @type {any} */
+    _recordDrop: function (count) {
+      this._dropped += count;
+      if (onDrop) {
+        onDrop(count, dropPolicy);
+      }
+    },
+    /**
+     * Sends whatever is queued and returns a promise that resolves once
+     * the queue is empty and no batch is in flight anymore.
+     * @type {any}
+     */
     flush: function () {
       // note, in case the handleBatch is a
       // delayed function, then it swaps before
       // sending the current data.
       clearTimeout(this._timeout);
       this._lastFlush = Date.now();
-      var currentDataArray = this.dataArray;
-      this.dataArray = [];
+      this._dispatch();
+      return this.whenIdle();
+    },
+    /**
+     * Hands batches to handleBatch for as long as there are free in flight slots.
+     * Whatever can not be sent yet stays queued until a batch completes.
+     * @type {any}
+     */
+    _dispatch: function () {
+      while (this.dataArray.length > 0 && this._inFlight < maxInFlight) {
+        var count = this._nextBatchCount();
+        var currentDataArray = this.dataArray.slice(0, count);
+        this.dataArray = this.dataArray.slice(count);
+        this._queuedBytes -= sumSizes(this._itemSizes.slice(0, count));
+        this._itemSizes = this._itemSizes.slice(count);
+        this._inFlight += 1;
+        this._send(currentDataArray, { firstAttemptAt: Date.now(), attempt: 1 }, 10);
+      }
+      if (this.dataArray.length > 0 && this._inFlight >= maxInFlight) {
+        // the timer is not needed, the queue moves on when a batch completes.
+        clearTimeout(this._timeout);
+      }
+    },
+    /**
+     * Number of queued items that go into the next batch, limited by maxSize and maxBytes.
+     * An item larger than maxBytes on its own is still sent, as a batch of one.
+     * @type {any}
+     */
+    _nextBatchCount: function () {
+      var count = 0;
+      var bytes = 0;
+      while (count < this.dataArray.length && count < maxSize) {
+        var size = this._itemSizes[count];
+        if (count > 0 && bytes + size > maxBytes) {
+          break;
+        }
+        bytes += size;
+        count += 1;
+      }
+      return count;
+    },
+    /**
+     * handleBatch calls done() on success, or done(err) on failure. Failures with
+     * err.retryable set are sent again later, the batch keeps its in flight slot meanwhile.
+     * @type {any}
+     */
+    _send: function (currentDataArray, attemptInfo, delay) {
+      var self = this;
       setTimeout(function () {
-        handleBatch(currentDataArray);
-      }, 10);
+        var released = false;
+        var done = function (err) {
+          if (released) {
+            return;
+          }
+          released = true;
+          if (err) {
+            var retryDelay = self._getRetryDelay(err, attemptInfo);
+            if (retryDelay !== null) {
+              self._send(
+                currentDataArray,
+                { firstAttemptAt: attemptInfo.firstAttemptAt, attempt: attemptInfo.attempt + 1 },
+                retryDelay
+              );
+              return;
+            }
+            if (onGiveUp) {
+              onGiveUp(currentDataArray, err);
+            }
+          }
+          self._inFlight -= 1;
+          self._dispatch();
+          self._notifyIfIdle();
+        };
+        try {
+          handleBatch(currentDataArray, done, attemptInfo);
+        } catch (err) {
+          done();
+          throw err;
+        }
+      }, delay);
+    },
+    /**
+     * Exponential backoff with jitter, a retryAfter (in milliseconds) on the error
+     * is used as lower bound. Returns null if the batch should not be retried.
+     * @type {any}
+     */
+    _getRetryDelay: function (err, attemptInfo) {
+      if (!retryMaxAge || !err.retryable) {
+        return null;
+      }
+      var backoff = Math.min(retryMaxDelay, retryBaseDelay * Math.pow(2, attemptInfo.attempt - 1));
+      var delay = backoff / 2 + Math.random() * (backoff / 2);
+      if (typeof err.retryAfter === 'number' && err.retryAfter > delay) {
+        delay = err.retryAfter;
+      }
+      if (Date.now() + delay - attemptInfo.firstAttemptAt > retryMaxAge) {
+        return null;
+      }
+      return Math.round(delay);
+    },
+    /** @type {any} */
+    getStats: function () {
+      return {
+        queued: this.dataArray.length,
+        inFlight: this._inFlight,
+        dropped: this._dropped,
+      };
+    },
+    /** @type {any} */
+    whenIdle: function () {
+      if (this._isIdle()) {
+        return Promise.resolve();
+      }
+      var self = this;
+      return new Promise(function (resolve) {
+        self._idleWaiters.push(resolve);
+      });
+    },
+    /** @type {any} */
+    _isIdle: function () {
+      return this._inFlight === 0 && this.dataArray.length === 0;
+    },
+    /** @type {any} */
+    _notifyIfIdle: function () {
+      if (this._isIdle()) {
+        var waiters = this._idleWaiters;
+        this._idleWaiters = [];
+        waiters.forEach(function (resolve) {
+          resolve();
+        });
+      }
     },
   };
 }
 
+createBatcher.DROP_POLICIES = DROP_POLICIES;
+
 module.exports = createBatcher;
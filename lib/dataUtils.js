@@ -1,10 +1,11 @@
 'use strict';
 
 var url = require('url');
-var hash = require('crypto-js/md5');
+var hashing = require('./hashing');
 var isCreditCard = require('card-validator');
 var assign = require('lodash/assign');
 var zlib = require('zlib');
+var piiDetectors = require('./piiDetectors');
 // Helper to check if buffer is binary (not utf8 string)
 function isBinaryBuffer(buf) {
   if (!Buffer.isBuffer(buf)) return false;
@@ -109,7 +110,34 @@ var timeTookInSeconds = function (startTime, endTime) {
   return (endTime - startTime) / 1000.0 + ' seconds';
 };
 
-function _hashSensitive(jsonBody, debug) {
+// the name of the detector a string or number matches, credit card numbers are always detected.
+function detectSensitive(value, piiState) {
+  if (isCreditCard.number('' + value).isValid) {
+    return 'credit card';
+  }
+  if (piiState && typeof value === 'string') {
+    return piiDetectors.detect(value, piiState.detectors);
+  }
+  return null;
+}
+
+var defaultHasher = hashing.createHasher();
+
+function hashMasked(value, piiState) {
+  if (!piiState) {
+    return defaultHasher(value);
+  }
+  piiState.count += 1;
+  return piiState.hash(value);
+}
+
+/**
+ * @param {any} jsonBody
+ * @param {boolean} [debug]
+ * @param {{ detectors: object[], hash: function, count: number }} [piiState] - enabled piiDetectors, the hashStrategy,
+ * and the number of hashed values so far.
+ */
+function _hashSensitive(jsonBody, debug, piiState) {
   if (jsonBody === null) return jsonBody;
 
   if (Array.isArray(jsonBody)) {
@@ -117,14 +145,14 @@ function _hashSensitive(jsonBody, debug) {
       var itemType = typeof item;
 
       if (itemType === 'number' || itemType === 'string') {
-        var creditCardCheck = isCreditCard.number('' + item);
-        if (creditCardCheck.isValid) {
-          logMessage(debug, 'hashSensitive', 'looks like a credit card, performing hash.');
-          return hash(item).toString();
+        var detected = detectSensitive(item, piiState);
+        if (detected) {
+          logMessage(debug, 'hashSensitive', 'looks like a ' + detected + ', performing hash.');
+          return hashMasked(item, piiState);
         }
       }
 
-      return _hashSensitive(item, debug);
+      return _hashSensitive(item, debug, piiState);
     });
   }
 
@@ -137,18 +165,18 @@ function _hashSensitive(jsonBody, debug) {
 
       if (key.toLowerCase().indexOf('password') !== -1 && typeof innerVal === 'string') {
         logMessage(debug, 'hashSensitive', 'key is password, so hashing the value.');
-        returnObject[key] = hash(jsonBody[key]).toString();
+        returnObject[key] = hashMasked(jsonBody[key], piiState);
       } else if (innerValType === 'number' || innerValType === 'string') {
-        var creditCardCheck = isCreditCard.number('' + innerVal);
-        if (creditCardCheck.isValid) {
-          logMessage(debug, 'hashSensitive', 'a field looks like credit card, performing hash.');
-          returnObject[key] = hash(jsonBody[key]).toString();
+        var detected = detectSensitive(innerVal, piiState);
+        if (detected) {
+          logMessage(debug, 'hashSensitive', 'a field looks like ' + detected + ', performing hash.');
+          returnObject[key] = hashMasked(jsonBody[key], piiState);
         } else {
-          returnObject[key] = _hashSensitive(innerVal, debug);
+          returnObject[key] = _hashSensitive(innerVal, debug, piiState);
         }
       } else {
         // recursive test for every value.
-        returnObject[key] = _hashSensitive(innerVal, debug);
+        returnObject[key] = _hashSensitive(innerVal, debug, piiState);
       }
     });
 
@@ -158,6 +186,79 @@ function _hashSensitive(jsonBody, debug) {
   return jsonBody;
 }
 
+function decodeQueryComponent(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replaces query string values of a uri, the rest of the uri is kept as is.
+ * @param {string} uri
+ * @param {(name: string, value: string) => string | null} replaceValue - gets the decoded name and value,
+ * returns the new value to use as is, or null to keep the value.
+ * @returns {string}
+ */
+function mapQueryParams(uri, replaceValue) {
+  var queryStart = typeof uri === 'string' ? uri.indexOf('?') : -1;
+  if (queryStart === -1) {
+    return uri;
+  }
+  var hashStart = uri.indexOf('#', queryStart);
+  var queryEnd = hashStart === -1 ? uri.length : hashStart;
+  var params = uri.slice(queryStart + 1, queryEnd).split('&').map(function (param) {
+    var separator = param.indexOf('=');
+    if (separator === -1) {
+      return param;
+    }
+    var name = decodeQueryComponent(param.slice(0, separator));
+    var value = decodeQueryComponent(param.slice(separator + 1));
+    if (name === null || value === null) {
+      return param;
+    }
+    var replacement = replaceValue(name, value);
+    return replacement === null ? param : param.slice(0, separator + 1) + replacement;
+  });
+  return uri.slice(0, queryStart + 1) + params.join('&') + uri.slice(queryEnd);
+}
+
+// hashes query string values matched by the piiDetectors.
+function hashSensitiveUri(uri, debug, piiState) {
+  return mapQueryParams(uri, function (name, value) {
+    var detected = piiDetectors.detect(value, piiState.detectors);
+    if (!detected) {
+      return null;
+    }
+    logMessage(debug, 'hashSensitive', 'a query param looks like ' + detected + ', performing hash.');
+    return hashMasked(value, piiState);
+  });
+}
+
+/**
+ * Hashes the sensitive values of the headers and bodies of an event, and the query string
+ * values matched by the piiDetectors option, with the hashStrategy option.
+ * @param {object} logData - event with request and response.
+ * @param {object} options - the normalized middleware options.
+ * @returns {number} the number of hashed values.
+ */
+function hashSensitiveEvent(logData, options) {
+  var piiState = {
+    detectors: options.piiDetectors ? piiDetectors.getDetectors(options.piiDetectors) : [],
+    hash: hashing.getHasher(options),
+    count: 0,
+  };
+  logData.request.headers = _hashSensitive(logData.request.headers, options.debug, piiState);
+  logData.request.body = _hashSensitive(logData.request.body, options.debug, piiState);
+  logData.response.headers = _hashSensitive(logData.response.headers, options.debug, piiState);
+  logData.response.body = _hashSensitive(logData.response.body, options.debug, piiState);
+  if (piiState.detectors.length > 0) {
+    logData.request.uri = hashSensitiveUri(logData.request.uri, options.debug, piiState);
+  }
+  return piiState.count;
+}
+
 function _getUrlFromRequestOptions(options, request) {
   if (typeof options === 'string') {
     options = url.parse(options);
@@ -481,6 +582,52 @@ function generateUUIDv4() {
   });
 }
 
+// Retry-After is either delay in seconds or a http date, returns milliseconds.
+function parseRetryAfter(retryAfter) {
+  if (retryAfter === null || retryAfter === undefined || retryAfter === '') {
+    return undefined;
+  }
+  var seconds = Number(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  var date = Date.parse(retryAfter);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return undefined;
+}
+
+// collector responses worth sending the same batch again for.
+var RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Marks errors of sending a batch, so the batcher knows if and when to retry.
+ * @param {object} err - from moesifapi, the batch sender or a transport.
+ * @param {object} [context] - the http context of the call, with the response if there is one.
+ * @returns {object} err with retryable and retryAfter.
+ */
+function annotateBatchError(err, context) {
+  var response = context && context.response;
+  // moesifapi has the code of the axios error, like ERR_BAD_REQUEST, as errorCode
+  // for http errors, the status is only in the response of the context.
+  var statusCode = response && response.statusCode;
+  if (typeof statusCode !== 'number') {
+    statusCode = err.errorCode;
+  }
+  // a custom transport may decide on its own.
+  if (typeof err.retryable !== 'boolean') {
+    // network errors do not have a status code.
+    err.retryable =
+      typeof statusCode !== 'number' || RETRYABLE_STATUS_CODES.indexOf(statusCode) !== -1;
+  }
+  if (typeof err.retryAfter !== 'number') {
+    var headers = response && response.headers;
+    err.retryAfter = parseRetryAfter(headers && headers['retry-after']);
+  }
+  return err;
+}
+
 module.exports = {
   getUrlFromRequestOptions: _getUrlFromRequestOptions,
   getEventModelFromRequestAndResponse: _getEventModelFromRequestAndResponse,
@@ -488,6 +635,8 @@ module.exports = {
   startWithJson: _startWithJson,
   bodyToBase64: _bodyToBase64,
   hashSensitive: _hashSensitive,
+  hashSensitiveEvent: hashSensitiveEvent,
+  mapQueryParams: mapQueryParams,
   logMessage: logMessage,
   timeTookInSeconds: timeTookInSeconds,
   isJsonHeader: isJsonHeader,
@@ -498,4 +647,6 @@ module.exports = {
   getReqHeaders: getReqHeaders,
   generateUUIDv4: generateUUIDv4,
   decompressIfNeeded: decompressIfNeeded,
+  parseRetryAfter: parseRetryAfter,
+  annotateBatchError: annotateBatchError,
 };
@@ -1,6 +1,13 @@
 
 var isFunction = require('lodash/isFunction');
 var isNumber = require('lodash/isNumber');
+var compileMaskFields = require('./maskFields').compileMaskFields;
+var getDetectors = require('./piiDetectors').getDetectors;
+var createHasher = require('./hashing').createHasher;
+var ensureValidHeaderLists = require('./headerFilter').ensureValidHeaderLists;
+var ensureValidMaskQueryParams = require('./queryParamMasking').ensureValidMaskQueryParams;
+var rateLimit = require('./rateLimit');
+var ensureValidGovernanceModes = require('./governanceRulesManager').ensureValidGovernanceModes;
 
 function ensureValidOptions(options) {
   if (!options) throw new Error('options are required by moesif-nodejs middleware');
@@ -47,12 +54,74 @@ function ensureValidOptions(options) {
   if (options.batchMaxTime && (!isNumber(options.batchMaxTime) || options.batchMaxTime <= 500)) {
     throw new Error('batchMaxTime must be greater than 500 milliseonds');
   }
+  if (options.transport && !isFunction(options.transport.sendBatch)) {
+    throw new Error('transport must be an object with a sendBatch(events) function');
+  }
+  if (options.batchCompression && ['gzip', 'br', 'none'].indexOf(options.batchCompression) === -1) {
+    throw new Error('batchCompression must be one of gzip, br or none');
+  }
+  if (
+    options.batchCompressionThreshold &&
+    (!isNumber(options.batchCompressionThreshold) || options.batchCompressionThreshold < 0)
+  ) {
+    throw new Error('batchCompressionThreshold must be a number of bytes greater than 0');
+  }
+  if (options.batchMaxBytes && (!isNumber(options.batchMaxBytes) || options.batchMaxBytes < 1)) {
+    throw new Error('batchMaxBytes must be a number of bytes greater than 0');
+  }
+  if (options.maxQueueSize && (!isNumber(options.maxQueueSize) || options.maxQueueSize < 1)) {
+    throw new Error('maxQueueSize must be a number greater than or equal to 1');
+  }
+  if (
+    options.maxInFlightBatches &&
+    (!isNumber(options.maxInFlightBatches) || options.maxInFlightBatches < 1)
+  ) {
+    throw new Error('maxInFlightBatches must be a number greater than or equal to 1');
+  }
+  if (
+    options.dropPolicy &&
+    ['drop-oldest', 'drop-newest', 'sample-down'].indexOf(options.dropPolicy) === -1
+  ) {
+    throw new Error('dropPolicy must be one of drop-oldest, drop-newest or sample-down');
+  }
+  ['batchRetryMaxAge', 'batchRetryBaseDelay', 'batchRetryMaxDelay'].forEach(function (name) {
+    if (options[name] && (!isNumber(options[name]) || options[name] < 0)) {
+      throw new Error(name + ' must be a number of milliseconds greater than 0');
+    }
+  });
+  if (options.spoolDir && typeof options.spoolDir !== 'string') {
+    throw new Error('spoolDir must be a path to a directory');
+  }
+  ['spoolMaxBytes', 'spoolMaxAge'].forEach(function (name) {
+    if (options[name] && (!isNumber(options[name]) || options[name] < 0)) {
+      throw new Error(name + ' must be a number greater than 0');
+    }
+  });
   if (options.requestMaxBodySize && (!isNumber(options.requestMaxBodySize) || options.requestMaxBodySize < 0)) {
     throw new Error('requestMaxBodySize must be a number greater than 0');
   }
   if (options.responseMaxBodySize && (!isNumber(options.responseMaxBodySize) || options.responseMaxBodySize < 0)) {
     throw new Error('responseMaxBodySize must be a number greater than 0');
   }
+  if (options.maskFields) {
+    // throws for invalid paths and actions.
+    compileMaskFields(options.maskFields);
+  }
+  if (options.piiDetectors) {
+    // throws for unknown detectors.
+    getDetectors(options.piiDetectors);
+  }
+  // throws for an unknown hashStrategy, or hmac-sha256 without a hashSecret.
+  createHasher(options.hashStrategy, options.hashSecret);
+  ensureValidHeaderLists(options);
+  ensureValidMaskQueryParams(options);
+  if (options.rateLimitRules) {
+    // throws for invalid keys, algorithms and limits.
+    rateLimit.compileRateLimitRules(options.rateLimitRules);
+  }
+  rateLimit.ensureValidRateLimitStore(options.rateLimitStore);
+  rateLimit.ensureValidTrustProxy(options.rateLimitTrustProxy);
+  ensureValidGovernanceModes(options);
 }
 
 function ensureValidLogData(logData) {
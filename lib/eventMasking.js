@@ -0,0 +1,53 @@
+/*
+ * Masks an event before it is sent, the same way for incoming, outgoing and Next.js events.
+ *
+ * In order:
+ *   1. the header allowlist, denylist and redactHeaders options.
+ *   2. the maskQueryParams option.
+ *   3. hashing of sensitive values and the piiDetectors, unless noAutoHideSensitive is set.
+ *      The number of hashed values is added to the metadata as masked_field_count.
+ *   4. the maskContent function, so it gets the event as it is sent, less the maskFields.
+ *   5. the maskFields option.
+ */
+
+var dataUtils = require('./dataUtils');
+var applyMaskFields = require('./maskFields').applyMaskFields;
+var getHasher = require('./hashing').getHasher;
+var filterEventHeaders = require('./headerFilter').filterEventHeaders;
+var maskEventQueryParams = require('./queryParamMasking').maskEventQueryParams;
+
+var logMessage = dataUtils.logMessage;
+
+/**
+ * @param {object} logData - the event, with its metadata.
+ * @param {object} options - the normalized middleware options.
+ * @returns {object} the masked event.
+ */
+function applyEventMasking(logData, options) {
+  var masked = filterEventHeaders(logData, options);
+  masked = maskEventQueryParams(masked, options);
+
+  if (!options.noAutoHideSensitive) {
+    try {
+      var maskedCount = dataUtils.hashSensitiveEvent(masked, options);
+      if (maskedCount > 0) {
+        masked.metadata = Object.assign({}, masked.metadata, { masked_field_count: maskedCount });
+      }
+    } catch (err) {
+      logMessage(options.debug, 'applyEventMasking', 'error on hashSensitive err=' + err);
+    }
+  }
+
+  masked = options.maskContent(masked);
+
+  try {
+    masked = applyMaskFields(masked, options.maskFields, getHasher(options));
+  } catch (err) {
+    logMessage(options.debug, 'applyEventMasking', 'error on maskFields err=' + err);
+  }
+  return masked;
+}
+
+module.exports = {
+  applyEventMasking: applyEventMasking,
+};
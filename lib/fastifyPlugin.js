@@ -0,0 +1,134 @@
+/*
+ * Fastify plugin that captures the same events as the middleware does for
+ * Express and Koa.
+ *
+ * The hooks work on the raw node request and response, like the middleware.
+ * The body parsed by Fastify and request.user are copied onto the raw request,
+ * so options like identifyUser can read req.body and req.user.
+ */
+
+var dataUtils = require('./dataUtils');
+var formatEventDataAndSave = require('./formatEventDataAndSave');
+var governUtils = require('./governUtils');
+var requestContext = require('./requestContext');
+var traceContext = require('./traceContext');
+
+var logMessage = dataUtils.logMessage;
+
+var TRANSACTION_ID_HEADER = governUtils.TRANSACTION_ID_HEADER;
+
+function copyToRawRequest(request, options) {
+  var req = request.raw;
+  if (options.logBody && request.body !== undefined) {
+    req.body = request.body;
+  }
+  // undefined if no route matched.
+  var routeTemplate = request.routeOptions ? request.routeOptions.url : request.routerPath;
+  if (routeTemplate) {
+    req._moRouteTemplate = routeTemplate;
+  }
+  // e.g. set by @fastify/jwt or @fastify/passport.
+  if (request.user && !req.user) {
+    req.user = request.user;
+  }
+}
+
+/**
+ * @param {object} options - the normalized middleware options.
+ * @param {function} saveEvent
+ * @param {(req: object, res: object) => object | null} governRequest - returns the governed response, if any rule applies.
+ */
+function createFastifyPlugin(options, saveEvent, governRequest) {
+  function moesifFastifyPlugin(fastify, pluginOptions, done) {
+    fastify.addHook('onRequest', function (request, reply, hookDone) {
+      var req = request.raw;
+      req._startTime = new Date();
+
+      var txId;
+      if (!options.disableTransactionId) {
+        txId = request.headers[TRANSACTION_ID_HEADER] || dataUtils.generateUUIDv4();
+        // set on the raw response, so it is part of the captured response headers.
+        reply.raw.setHeader(TRANSACTION_ID_HEADER, txId);
+      }
+      var incomingTrace = traceContext.startIncomingTrace(
+        function (name) {
+          return request.headers[name];
+        },
+        request.method,
+        options.startTraceSpan
+      );
+      req._moTrace = incomingTrace.trace;
+      reply.raw._moEndTrace = incomingTrace.end;
+      // outgoing calls made while handling the request are attributed to it.
+      requestContext.runWithRequestContext(
+        { req: req, res: reply.raw, transactionId: txId, trace: incomingTrace.trace },
+        function () {
+          incomingTrace.run(hookDone);
+        }
+      );
+    });
+
+    // the request body is parsed by now.
+    fastify.addHook('preHandler', function (request, reply, hookDone) {
+      var res = reply.raw;
+      copyToRawRequest(request, options);
+
+      var governedResponseHolder = governRequest(request.raw, res);
+      if (governedResponseHolder) {
+        governUtils.setGovernedHeaders(governedResponseHolder.headers, function (name, value) {
+          res.setHeader(name, value);
+        });
+        if (governUtils.recordGovernedResponse(res, governedResponseHolder, options)) {
+          // replying from the hook skips the route handler.
+          reply.code(governedResponseHolder.status).send(governedResponseHolder.body);
+          return;
+        }
+      }
+      hookDone();
+    });
+
+    fastify.addHook('onSend', function (request, reply, payload, hookDone) {
+      // streams are passed on as is, the body is not captured then.
+      if (options.logBody && (typeof payload === 'string' || Buffer.isBuffer(payload))) {
+        reply.raw._moBody = payload;
+      }
+      hookDone(null, payload);
+    });
+
+    fastify.addHook('onResponse', function (request, reply, hookDone) {
+      var req = request.raw;
+      var res = reply.raw;
+      res._endTime = new Date();
+      if (!req._startTime) {
+        // moesif's onRequest hook did not run, e.g. an auth hook registered before it replied.
+        req._startTime = new Date(res._endTime.getTime() - (reply.elapsedTime || 0));
+      }
+      try {
+        // not set either if moesif's onRequest hook did not run.
+        if (typeof res._moEndTrace === 'function') {
+          res._moEndTrace(res.statusCode);
+        }
+        // hooks and handlers that ran after preHandler may have set the user.
+        copyToRawRequest(request, options);
+        formatEventDataAndSave(res._moBody, req, res, options, saveEvent);
+      } catch (err) {
+        logMessage(options.debug, 'moesifFastifyPlugin', 'error occurred during log event: ' + err);
+        if (options.callback) {
+          options.callback(err);
+        }
+      }
+      hookDone();
+    });
+
+    done();
+  }
+
+  // same as wrapping with fastify-plugin, so the hooks apply to all routes
+  // and not only to the ones registered inside the plugin.
+  moesifFastifyPlugin[Symbol.for('skip-override')] = true;
+  moesifFastifyPlugin[Symbol.for('fastify.display-name')] = 'moesif';
+
+  return moesifFastifyPlugin;
+}
+
+module.exports = createFastifyPlugin;
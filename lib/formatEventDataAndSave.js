@@ -1,9 +1,11 @@
 var dataUtils = require('./dataUtils');
 var ensureValidUtils = require('./ensureValidUtils');
+var traceContext = require('./traceContext');
+var routeTemplate = require('./routeTemplate');
+var applyEventMasking = require('./eventMasking').applyEventMasking;
 var requestIp = require('request-ip');
 
 var logMessage = dataUtils.logMessage;
-var hashSensitive = dataUtils.hashSensitive;
 var bodyToBase64 = dataUtils.bodyToBase64;
 var startWithJson = dataUtils.startWithJson;
 var timeTookInSeconds = dataUtils.timeTookInSeconds;
@@ -12,7 +14,7 @@ var isJsonHeader = dataUtils.isJsonHeader;
 var computeBodySize = dataUtils.computeBodySize;
 var ensureToString = dataUtils.ensureToString;
 
-const TRANSACTION_ID_HEADER = 'x-moesif-transaction-id';
+var TRANSACTION_ID_HEADER = require('./governUtils').TRANSACTION_ID_HEADER;
 
 var ensureValidLogData = ensureValidUtils.ensureValidLogData;
 
@@ -171,8 +173,6 @@ function formatEventDataAndSave(responseBodyBuffer, req, res, options, saveEvent
 
   logMessage(options.debug, 'formatEventDataAndSave', 'created data', logData);
 
-  logData = options.maskContent(logData);
-
   var identifyUserStartTime = Date.now();
   logData.userId = ensureToString(options.identifyUser(req, res));
   var identifyUserEndTime = Date.now();
@@ -186,7 +186,18 @@ function formatEventDataAndSave(responseBodyBuffer, req, res, options, saveEvent
   logData.sessionToken = options.getSessionToken(req, res);
   logData.tags = options.getTags(req, res);
   logData.request.apiVersion = options.getApiVersion(req, res);
-  logData.metadata = options.getMetadata(req, res);
+  logData.metadata = traceContext.addTraceToMetadata(options.getMetadata(req, res), req._moTrace);
+  logData.metadata = routeTemplate.addRouteTemplateToMetadata(
+    logData.metadata,
+    routeTemplate.getRouteTemplate(req, options)
+  );
+  if (res._mo_would_block_by) {
+    // the request was let through, since the rules that would block it are in shadow mode.
+    logData.metadata = Object.assign(
+      { would_block_by: res._mo_would_block_by, would_block_status: res._mo_would_block_status },
+      logData.metadata
+    );
+  }
 
   // Set API direction
   logData.direction = "Incoming"
@@ -202,20 +213,10 @@ function formatEventDataAndSave(responseBodyBuffer, req, res, options, saveEvent
   if (!options.skip(req, res)) {
     logMessage(options.debug, 'formatEventDataAndSave', 'queue data to send to moesif');
 
-    if (!options.noAutoHideSensitive) {
-      var noAutoHideSensitiveStartTime = Date.now();
-      // autoHide
-      try {
-        logData.request.headers = hashSensitive(logData.request.headers, options.debug);
-        logData.request.body = hashSensitive(logData.request.body, options.debug);
-        logData.response.headers = hashSensitive(logData.response.headers, options.debug);
-        logData.response.body = hashSensitive(logData.response.body, options.debug);
-      } catch (err) {
-        logMessage(options.debug, 'formatEventDataAndSave', 'error on hashSensitive err=' + err);
-      }
-      var noAutoHideSensitiveEndTime = Date.now();
-      logMessage(options.debug, 'noAutoHideSensitive took time ', timeTookInSeconds(noAutoHideSensitiveStartTime, noAutoHideSensitiveEndTime));
-    }
+    var maskingStartTime = Date.now();
+    logData = applyEventMasking(logData, options);
+    var maskingEndTime = Date.now();
+    logMessage(options.debug, 'applyEventMasking took time ', timeTookInSeconds(maskingStartTime, maskingEndTime));
 
     // Add Transaction Id to Event Request Model
     if (logData.response.headers[TRANSACTION_ID_HEADER]) {
@@ -0,0 +1,57 @@
+/*
+ * What the middleware and the Koa, Fastify and Hapi integrations share to handle a request.
+ *
+ * Each framework sends a blocked response its own way, but the headers of the rules are
+ * added and the rules are recorded on the raw response for the event the same way.
+ */
+
+var logMessage = require('./dataUtils').logMessage;
+
+// of the incoming request, also added to the outgoing calls made while handling it.
+var TRANSACTION_ID_HEADER = 'x-moesif-transaction-id';
+
+/**
+ * Sets the headers of the rules that apply, blocking or not.
+ * @param {object} [headers] - of the governed response.
+ * @param {(name: string, value: any) => void} setHeader
+ */
+function setGovernedHeaders(headers, setHeader) {
+  if (headers) {
+    Object.entries(headers).forEach(function (entry) {
+      setHeader(entry[0], entry[1]);
+    });
+  }
+}
+
+/**
+ * Records the rule that blocks the request on the raw response, or the one that would
+ * block it in shadow mode, so the event gets it.
+ * @param {object} res - the raw node response.
+ * @param {{ body: any, blocked_by: string, would_block_by?: string, would_block_status?: number }} governedResponseHolder
+ * @param {object} options - the normalized middleware options.
+ * @returns {boolean} whether the request is blocked, and gets the status and body of the rule.
+ */
+function recordGovernedResponse(res, governedResponseHolder, options) {
+  if (governedResponseHolder.would_block_by) {
+    // rules in shadow mode are only recorded on the event.
+    res._mo_would_block_by = governedResponseHolder.would_block_by;
+    res._mo_would_block_status = governedResponseHolder.would_block_status;
+  }
+  if (!governedResponseHolder.blocked_by) {
+    return false;
+  }
+  logMessage(
+    options.debug,
+    'governance',
+    'request blocked by ' + governedResponseHolder.blocked_by
+  );
+  res._mo_blocked_by = governedResponseHolder.blocked_by;
+  res._mo_blocked_body = governedResponseHolder.body;
+  return true;
+}
+
+module.exports = {
+  TRANSACTION_ID_HEADER: TRANSACTION_ID_HEADER,
+  setGovernedHeaders: setGovernedHeaders,
+  recordGovernedResponse: recordGovernedResponse,
+};
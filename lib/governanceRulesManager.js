@@ -10,6 +10,7 @@ var isNil = require('lodash/isNil');
 var assign = require('lodash/assign');
 var requestIp = require('request-ip');
 var dataUtils = require('./dataUtils');
+var rateLimit = require('./rateLimit');
 
 var safeJsonParse = dataUtils.safeJsonParse;
 var getReqHeaders = dataUtils.getReqHeaders;
@@ -18,6 +19,8 @@ var moesifController = require('moesifapi').ApiController;
 
 const CONFIG_UPDATE_DELAY = 60000; // 1 minutes
 const HASH_HEADER = 'x-moesif-config-etag';
+const RATE_LIMITED_STATUS = 429;
+const GOVERNANCE_MODES = ['enforce', 'shadow'];
 
 function now() {
   return new Date().getTime();
@@ -33,6 +36,8 @@ function prepareFieldValues(request, requestBody) {
   return {
     'request.verb': request.method,
     'request.ip': requestIp.getClientIp(request),
+    // of the socket, which the client cannot set like the headers request.ip is taken from.
+    'request.remote_address': request.socket && request.socket.remoteAddress,
     'request.route': request.originalUrl || request.url,
     'request.body.operationName': safeGet(requestBody, 'operationName'),
   };
@@ -200,6 +205,41 @@ function modifyResponseForOneRule(rule, responseHolder, mergeTagValues) {
   return responseHolder;
 }
 
+// a rule in shadow mode does not change the response, a blocking one is only recorded.
+function shadowOneRule(rule, responseHolder) {
+  if (rule.block) {
+    responseHolder.would_block_by = rule._id;
+    responseHolder.would_block_status = safeGet(rule, 'response.status');
+  }
+  return responseHolder;
+}
+
+/**
+ * @param {object} options - with governanceMode and governanceRuleModes.
+ */
+function ensureValidGovernanceModes(options) {
+  if (
+    options.governanceMode !== undefined &&
+    GOVERNANCE_MODES.indexOf(options.governanceMode) === -1
+  ) {
+    throw new Error('governanceMode must be one of ' + GOVERNANCE_MODES.join(', '));
+  }
+  var ruleModes = options.governanceRuleModes;
+  if (ruleModes === undefined) {
+    return;
+  }
+  if (!ruleModes || typeof ruleModes !== 'object' || Array.isArray(ruleModes)) {
+    throw new Error('governanceRuleModes must be an object of rule ids to governance modes');
+  }
+  Object.keys(ruleModes).forEach(function (ruleId) {
+    if (GOVERNANCE_MODES.indexOf(ruleModes[ruleId]) === -1) {
+      throw new Error(
+        'governanceRuleModes of ' + ruleId + ' must be one of ' + GOVERNANCE_MODES.join(', ')
+      );
+    }
+  });
+}
+
 // Internal helper to compute applicable rules based only on cohort membership and applied_to.
 // Logic (ignoring regex):
 //  - If entity (user/company) is in rule cohort and rule.applied_to !== 'not_matching' -> include.
@@ -237,12 +277,42 @@ function getApplicableRulesByCohortOnly(configRuleValues, rulesHashByRuleId, log
 /**
  *
  * @type Class
+ * @param {object} [apiClient] - client to fetch the rules with, defaults to the moesifapi ApiController.
  *
  * */
-function GovernanceRulesManager() {
+function GovernanceRulesManager(apiClient) {
+  this._apiClient = apiClient || moesifController;
   this._lastUpdate = 0;
+  this._rateLimitRules = [];
 }
 
+/**
+ * Sets the local rate limits, evaluated along with the rules from Moesif.
+ * @param {Array<object>} rules - the rateLimitRules option.
+ * @param {object} [store] - the rateLimitStore option, in memory by default.
+ * @param {boolean | string[]} [trustProxy] - the rateLimitTrustProxy option, false by default.
+ */
+GovernanceRulesManager.prototype.setRateLimitRules = function (rules, store, trustProxy) {
+  this._rateLimitRules = rateLimit.compileRateLimitRules(rules || []);
+  this._rateLimitStore = store || rateLimit.createMemoryStore();
+  this._rateLimitTrustProxy = trustProxy || false;
+};
+
+/**
+ * Sets whether rules are enforced, or only evaluated and recorded in shadow mode.
+ * @param {'enforce' | 'shadow'} [mode] - of all rules, enforce by default.
+ * @param {Object<string, 'enforce' | 'shadow'>} [ruleModes] - of single rules by id, over mode.
+ */
+GovernanceRulesManager.prototype.setGovernanceMode = function (mode, ruleModes) {
+  this._governanceMode = mode;
+  this._governanceRuleModes = ruleModes;
+};
+
+GovernanceRulesManager.prototype._isShadowRule = function (ruleId) {
+  var mode = safeGet(this._governanceRuleModes, ruleId) || this._governanceMode;
+  return mode === 'shadow';
+};
+
 GovernanceRulesManager.prototype.setLogger = function (logger) {
   this._logger = logger;
 };
@@ -254,7 +324,7 @@ GovernanceRulesManager.prototype.log = function (message, details) {
 };
 
 GovernanceRulesManager.prototype.hasRules = function () {
-  return Boolean(this._rules && this._rules.length > 0);
+  return Boolean((this._rules && this._rules.length > 0) || this._rateLimitRules.length > 0);
 };
 
 GovernanceRulesManager.prototype.shouldFetch = function () {
@@ -271,7 +341,7 @@ GovernanceRulesManager.prototype.tryGetRules = function () {
       // only send one config request at a time
       self._loading = true;
       self.log('loading rules');
-      moesifController.getRules(function (err, response, event) {
+      self._apiClient.getRules(function (err, response, event) {
         self._loading = false;
         // prevent keep calling.
         self._rules = [];
@@ -436,11 +506,9 @@ GovernanceRulesManager.prototype.applyRuleList = function (
         currentRule,
         mergeTagValues,
       });
-      const resultResponseHolder = modifyResponseForOneRule(
-        currentRule,
-        prevResponseHolder,
-        mergeTagValues
-      );
+      const resultResponseHolder = self._isShadowRule(currentRule._id)
+        ? shadowOneRule(currentRule, prevResponseHolder)
+        : modifyResponseForOneRule(currentRule, prevResponseHolder, mergeTagValues);
       self.log('finished modify response', { resultResponseHolder });
       return resultResponseHolder;
     } catch (err) {
@@ -450,6 +518,96 @@ GovernanceRulesManager.prototype.applyRuleList = function (
   }, responseHolder);
 };
 
+function getRateLimitKeyValue(rule, userId, companyId, requestFields, requestHeaders, trustProxy) {
+  switch (rule.key) {
+    case 'userId':
+      return userId;
+    case 'companyId':
+      return companyId;
+    case 'ip':
+      return rateLimit.getClientAddress(
+        requestFields && requestFields['request.remote_address'],
+        requestHeaders && requestHeaders['x-forwarded-for'],
+        trustProxy
+      );
+    case 'header':
+      return getFieldValueForPath(
+        'request.headers.' + rule.header,
+        requestFields,
+        null,
+        requestHeaders
+      );
+    default:
+      return null;
+  }
+}
+
+// counts the request against each matching rate limit, until one of them blocks it.
+// the X-RateLimit-* headers are those of the blocking rule, or the one with the fewest remaining.
+GovernanceRulesManager.prototype._applyRateLimitRules = function (
+  userId,
+  companyId,
+  requestFields,
+  requestBody,
+  requestHeaders,
+  responseHolder
+) {
+  var self = this;
+  var closest = null;
+  this._rateLimitRules.some(function (rule) {
+    if (!doesRegexConfigMatch(rule.regexConfig, requestFields, requestBody, requestHeaders)) {
+      return false;
+    }
+    var keyValue = getRateLimitKeyValue(
+      rule,
+      userId,
+      companyId,
+      requestFields,
+      requestHeaders,
+      self._rateLimitTrustProxy
+    );
+    if (isNil(keyValue) || keyValue === '') {
+      // requests without the key are not limited by the rule.
+      return false;
+    }
+    var result;
+    try {
+      result = rateLimit.hitRateLimit(rule, String(keyValue), self._rateLimitStore);
+    } catch (err) {
+      self.log('error counting rate limit ' + rule.id + ' ' + err.toString());
+      return false;
+    }
+    if (self._isShadowRule(rule.id)) {
+      if (!result.allowed) {
+        self.log('rate limit ' + rule.id + ' exceeded in shadow mode', { keyValue });
+        responseHolder.would_block_by = rule.id;
+        responseHolder.would_block_status = RATE_LIMITED_STATUS;
+      }
+      return false;
+    }
+    if (!result.allowed) {
+      self.log('rate limit ' + rule.id + ' exceeded', { keyValue });
+      responseHolder.status = RATE_LIMITED_STATUS;
+      responseHolder.headers['Content-Type'] = 'application/json';
+      responseHolder.body = {
+        error: 'Too Many Requests',
+        retry_after: Math.max(Math.ceil(result.retryAfterMs / 1000), 1),
+      };
+      responseHolder.blocked_by = rule.id;
+      closest = result;
+      return true;
+    }
+    if (!closest || result.remaining < closest.remaining) {
+      closest = result;
+    }
+    return false;
+  });
+  if (closest) {
+    responseHolder.headers = assign(responseHolder.headers, rateLimit.getRateLimitHeaders(closest));
+  }
+  return responseHolder;
+};
+
 GovernanceRulesManager.prototype.governInternal = function (
   config,
   userId,
@@ -465,11 +623,23 @@ GovernanceRulesManager.prototype.governInternal = function (
     headers: {},
     body: null,
     blocked_by: null,
+    // set by rules in shadow mode that would block the request.
+    would_block_by: null,
+    would_block_status: null,
   };
 
   try {
     // apply in reverse order of priority will results in highest priority rules is final rule applied.
-    // highest to lowest priority are: user rules, company rules, and regex rules.
+    // highest to lowest priority are: user rules, company rules, regex rules and local rate limits.
+    responseHolder = this._applyRateLimitRules(
+      userId,
+      companyId,
+      requestFields,
+      requestBody,
+      requestHeaders,
+      responseHolder
+    );
+
     const applicableRegexRules = this._getApplicableRegexRules(
       requestFields,
       requestBody,
@@ -620,3 +790,6 @@ GovernanceRulesManager.prototype.getApplicableRulesForCompanyId = function (comp
 };
 
 module.exports = new GovernanceRulesManager();
+// every middleware instance creates its own.
+module.exports.GovernanceRulesManager = GovernanceRulesManager;
+module.exports.ensureValidGovernanceModes = ensureValidGovernanceModes;
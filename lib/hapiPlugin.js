@@ -0,0 +1,170 @@
+/*
+ * Hapi plugin that captures the same events as the middleware does for
+ * Express and Koa.
+ *
+ * Like the middleware, the events are built from the raw node request and
+ * response. The parsed payload and the auth credentials are copied onto the
+ * raw request, so options like identifyUser can read req.body and req.user.
+ */
+
+var dataUtils = require('./dataUtils');
+var formatEventDataAndSave = require('./formatEventDataAndSave');
+var governUtils = require('./governUtils');
+var requestContext = require('./requestContext');
+var traceContext = require('./traceContext');
+
+var logMessage = dataUtils.logMessage;
+
+var TRANSACTION_ID_HEADER = governUtils.TRANSACTION_ID_HEADER;
+
+function copyToRawRequest(request, options) {
+  var req = request.raw.req;
+  if (options.logBody && request.payload !== undefined && request.payload !== null) {
+    req.body = request.payload;
+  }
+  // the not found route is _special.
+  if (request.route && request.route.method !== '_special') {
+    req._moRouteTemplate = request.route.path;
+  }
+  if (request.auth && request.auth.isAuthenticated && !req.user) {
+    req.user = request.auth.credentials;
+  }
+}
+
+// the response source as it is sent, streams are not captured.
+function getResponseBody(response) {
+  if (response.isBoom) {
+    return JSON.stringify(response.output.payload);
+  }
+  var source = response.source;
+  if (typeof source === 'string' || Buffer.isBuffer(source)) {
+    return source;
+  }
+  if (source && typeof source.pipe === 'function') {
+    return undefined;
+  }
+  if (source !== null && source !== undefined) {
+    return JSON.stringify(source);
+  }
+  return undefined;
+}
+
+// hapi has no callback to run a request in, so the server's dispatch of each request
+// gets a scope of its own, which the context entered in onRequest stays in.
+function scopeRequests(listener) {
+  ['request', 'checkContinue'].forEach(function (eventName) {
+    listener.listeners(eventName).forEach(function (dispatch) {
+      listener.removeListener(eventName, dispatch);
+      listener.on(eventName, function (req, res) {
+        requestContext.runInRequestScope(function () {
+          dispatch.call(listener, req, res);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * @param {object} options - the normalized middleware options.
+ * @param {function} saveEvent
+ * @param {(req: object, res: object) => object | null} governRequest - returns the governed response, if any rule applies.
+ */
+function createHapiPlugin(options, saveEvent, governRequest) {
+  return {
+    name: 'moesif',
+    register: function (server) {
+      scopeRequests(server.listener);
+
+      server.ext('onRequest', function (request, h) {
+        request.raw.req._startTime = new Date();
+        if (!options.disableTransactionId) {
+          var txId = request.headers[TRANSACTION_ID_HEADER] || dataUtils.generateUUIDv4();
+          request.raw.req._moTransactionId = txId;
+        }
+        // a started span is not made the active one, hapi has no callback to run the request in.
+        var incomingTrace = traceContext.startIncomingTrace(
+          function (name) {
+            return request.headers[name];
+          },
+          request.method.toUpperCase(),
+          options.startTraceSpan
+        );
+        request.raw.req._moTrace = incomingTrace.trace;
+        request.raw.res._moEndTrace = incomingTrace.end;
+        // outgoing calls made while handling the request are attributed to it.
+        requestContext.enterRequestContext({
+          req: request.raw.req,
+          res: request.raw.res,
+          transactionId: request.raw.req._moTransactionId,
+          trace: incomingTrace.trace,
+        });
+        return h.continue;
+      });
+
+      // after authentication and payload parsing, so all kinds of rules can match.
+      server.ext('onPreHandler', function (request, h) {
+        copyToRawRequest(request, options);
+        var res = request.raw.res;
+        var governedResponseHolder = governRequest(request.raw.req, res);
+        if (!governedResponseHolder) {
+          return h.continue;
+        }
+        // applied to the response in onPreResponse, also for non blocking rules.
+        request.raw.req._moGovernedHeaders = governedResponseHolder.headers;
+        if (governUtils.recordGovernedResponse(res, governedResponseHolder, options)) {
+          return h
+            .response(governedResponseHolder.body)
+            .code(governedResponseHolder.status)
+            .takeover();
+        }
+        return h.continue;
+      });
+
+      server.ext('onPreResponse', function (request, h) {
+        var req = request.raw.req;
+        var response = request.response;
+        var setHeader = function (name, value) {
+          if (response.isBoom) {
+            response.output.headers[name] = value;
+          } else {
+            response.header(name, value);
+          }
+        };
+        if (req._moTransactionId) {
+          setHeader(TRANSACTION_ID_HEADER, req._moTransactionId);
+        }
+        governUtils.setGovernedHeaders(req._moGovernedHeaders, setHeader);
+        if (options.logBody) {
+          request.raw.res._moBody = getResponseBody(response);
+        }
+        return h.continue;
+      });
+
+      // emitted once the response is sent.
+      server.events.on('response', function (request) {
+        var req = request.raw.req;
+        var res = request.raw.res;
+        res._endTime = new Date();
+        if (!req._startTime) {
+          // moesif's onRequest ext did not run, e.g. an ext registered before it took over.
+          req._startTime = new Date(request.info.received);
+        }
+        try {
+          // not set either if moesif's onRequest ext did not run.
+          if (typeof res._moEndTrace === 'function') {
+            res._moEndTrace(res.statusCode);
+          }
+          copyToRawRequest(request, options);
+          formatEventDataAndSave(res._moBody, req, res, options, saveEvent);
+        } catch (err) {
+          logMessage(options.debug, 'moesifHapiPlugin', 'error occurred during log event: ' + err);
+          if (options.callback) {
+            options.callback(err);
+          }
+        }
+      });
+    },
+  };
+}
+
+module.exports = createHapiPlugin;
@@ -0,0 +1,72 @@
+/*
+ * How sensitive values are masked, the hashStrategy option:
+ *   md5 - unsalted MD5 hash, the default for compatibility with earlier versions.
+ *   hmac-sha256 - HMAC-SHA-256 with the hashSecret option, so values can't be brute forced without it.
+ *   last4 - keeps the last 4 letters and digits and the format, e.g. ****-****-****-1111.
+ *   redact - replaces the value with *****.
+ */
+
+var crypto = require('crypto');
+var md5 = require('crypto-js/md5');
+
+var STRATEGIES = ['md5', 'hmac-sha256', 'last4', 'redact'];
+var REDACTED = '*****';
+
+function maskAllButLast4(value) {
+  var text = String(value);
+  var toKeep = 4;
+  var chars = text.split('');
+  for (var i = chars.length - 1; i >= 0; i--) {
+    if (/[A-Za-z0-9]/.test(chars[i])) {
+      if (toKeep > 0 && text.length > 4) {
+        toKeep -= 1;
+      } else {
+        chars[i] = '*';
+      }
+    }
+  }
+  return chars.join('');
+}
+
+/**
+ * @param {string} [strategy] - one of STRATEGIES, md5 by default.
+ * @param {string} [secret] - required for hmac-sha256.
+ * @returns {(value: any) => string}
+ */
+function createHasher(strategy, secret) {
+  switch (strategy || 'md5') {
+    case 'md5':
+      return function (value) {
+        return md5(value).toString();
+      };
+    case 'hmac-sha256':
+      if (typeof secret !== 'string' || secret.length === 0) {
+        throw new Error('hashSecret is required for the hmac-sha256 hashStrategy');
+      }
+      return function (value) {
+        return crypto.createHmac('sha256', secret).update(String(value)).digest('hex');
+      };
+    case 'last4':
+      return maskAllButLast4;
+    case 'redact':
+      return function () {
+        return REDACTED;
+      };
+    default:
+      throw new Error('hashStrategy must be one of ' + STRATEGIES.join(', '));
+  }
+}
+
+/**
+ * @param {{ hashStrategy?: string, hashSecret?: string }} options - the middleware options.
+ */
+function getHasher(options) {
+  return createHasher(options.hashStrategy, options.hashSecret);
+}
+
+module.exports = {
+  STRATEGIES: STRATEGIES,
+  REDACTED: REDACTED,
+  createHasher: createHasher,
+  getHasher: getHasher,
+};
@@ -0,0 +1,111 @@
+/*
+ * Which request and response headers are captured, the header allowlist and denylist
+ * options, and which have their values redacted, the redactHeaders option.
+ *
+ * Header names are matched case insensitively. The allowlist is applied first, then
+ * the denylist, then redaction.
+ */
+
+var REDACTED = require('./hashing').REDACTED;
+
+var DEFAULT_REDACTED_HEADERS = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'proxy-authorization',
+  'x-api-key',
+];
+
+var LIST_OPTIONS = [
+  'requestHeaderAllowlist',
+  'requestHeaderDenylist',
+  'responseHeaderAllowlist',
+  'responseHeaderDenylist',
+  'redactHeaders',
+];
+
+function toLowerCaseSet(names) {
+  return new Set(
+    (names || []).map(function (name) {
+      return name.toLowerCase();
+    })
+  );
+}
+
+/**
+ * @param {object} headers
+ * @param {string[]} [allowlist] - if set, only these headers are kept.
+ * @param {string[]} [denylist] - these headers are removed.
+ * @param {string[]} redactList - these headers are kept with a redacted value.
+ * @returns {object} a filtered copy of headers.
+ */
+function filterHeaders(headers, allowlist, denylist, redactList) {
+  if (!headers || typeof headers !== 'object') {
+    return headers;
+  }
+  var allowed = allowlist ? toLowerCaseSet(allowlist) : null;
+  var denied = toLowerCaseSet(denylist);
+  var redacted = toLowerCaseSet(redactList);
+  var result = {};
+  Object.keys(headers).forEach(function (name) {
+    var lowerCaseName = name.toLowerCase();
+    if ((allowed && !allowed.has(lowerCaseName)) || denied.has(lowerCaseName)) {
+      return;
+    }
+    result[name] = redacted.has(lowerCaseName) ? REDACTED : headers[name];
+  });
+  return result;
+}
+
+/**
+ * Filters the request and response headers of an event by the options.
+ * @param {object} logData - event with request and response.
+ * @param {object} options - the middleware options.
+ * @returns {object} logData
+ */
+function filterEventHeaders(logData, options) {
+  var redactList =
+    options.redactHeaders === undefined ? DEFAULT_REDACTED_HEADERS : options.redactHeaders;
+  if (logData.request) {
+    logData.request.headers = filterHeaders(
+      logData.request.headers,
+      options.requestHeaderAllowlist,
+      options.requestHeaderDenylist,
+      redactList
+    );
+  }
+  if (logData.response) {
+    logData.response.headers = filterHeaders(
+      logData.response.headers,
+      options.responseHeaderAllowlist,
+      options.responseHeaderDenylist,
+      redactList
+    );
+  }
+  return logData;
+}
+
+/**
+ * @param {object} options - the middleware options.
+ */
+function ensureValidHeaderLists(options) {
+  LIST_OPTIONS.forEach(function (name) {
+    var list = options[name];
+    var valid =
+      list === undefined ||
+      (Array.isArray(list) &&
+        list.every(function (header) {
+          return typeof header === 'string';
+        }));
+    if (!valid) {
+      throw new Error(name + ' must be an array of header names');
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_REDACTED_HEADERS: DEFAULT_REDACTED_HEADERS,
+  filterHeaders: filterHeaders,
+  filterEventHeaders: filterEventHeaders,
+  ensureValidHeaderLists: ensureValidHeaderLists,
+};
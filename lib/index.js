@@ -14,16 +14,31 @@ var dataUtils = require('./dataUtils');
 var patch = require('./outgoing');
 var createOutgoingRecorder = require('./outgoingRecorder');
 var createBatcher = require('./batcher');
-var moesifConfigManager = require('./moesifConfigManager');
+var createSpool = require('./spool');
+var createBatchSender = require('./batchSender');
+var createTransportController = require('./transport');
+var MoesifConfigManager = require('./moesifConfigManager').MoesifConfigManager;
 var uuid4 = require('uuid4');
 var unparsed = require('koa-body/unparsed.js');
 var ensureValidUtils = require('./ensureValidUtils');
 var formatEventDataAndSave = require('./formatEventDataAndSave');
-var governanceRulesManager = require('./governanceRulesManager');
-const { extractNextJsEventDataAndSave } = require('./nextjsUtils');
+var GovernanceRulesManager = require('./governanceRulesManager').GovernanceRulesManager;
+var createApiClient = require('./apiClient');
+var requestContext = require('./requestContext');
+var traceContext = require('./traceContext');
+var createFastifyPlugin = require('./fastifyPlugin');
+var createHapiPlugin = require('./hapiPlugin');
+var koaUtils = require('./koaUtils');
+var governUtils = require('./governUtils');
+const {
+  extractNextJsEventDataAndSave,
+  governNextJsRequest,
+  createNextJsBlockedResponse,
+  mergeNextJsGovernedHeaders,
+} = require('./nextjsUtils');
 
 // express converts headers to lowercase
-const TRANSACTION_ID_HEADER = 'x-moesif-transaction-id';
+var TRANSACTION_ID_HEADER = governUtils.TRANSACTION_ID_HEADER;
 
 var logMessage = dataUtils.logMessage;
 var timeTookInSeconds = dataUtils.timeTookInSeconds;
@@ -31,6 +46,8 @@ var appendChunk = dataUtils.appendChunk;
 var totalChunkLength = dataUtils.totalChunkLength;
 var ensureToString = dataUtils.ensureToString;
 var getReqHeaders = dataUtils.getReqHeaders;
+var annotateBatchError = dataUtils.annotateBatchError;
+var runWithRequestContext = requestContext.runWithRequestContext;
 
 var ensureValidOptions = ensureValidUtils.ensureValidOptions;
 var ensureValidUserModel = ensureValidUtils.ensureValidUserModel;
@@ -62,6 +79,7 @@ var defaultIdentifyUser = function (req, res) {
   return undefined;
 };
 
+
 /**
  * @typedef {Object} MoesifOptions
  * @property {string} applicationId
@@ -72,19 +90,53 @@ var defaultIdentifyUser = function (req, res) {
  * @property {(req: object, res: object) => object | undefined | null} [getMetadata]
  * @property {(req: object, res: object) => boolean | undefined | null | any} [skip]
  * @property {(eventModel: object) => object} [maskContent]
+ * @property {Array<string | { path: string, action?: 'redact' | 'hash' | 'drop' }>} [maskFields] - paths of header and body fields to mask, a string is a path to redact.
  * @property {boolean} [logBody] - default true
  * @property {boolean} [debug]
+ * @property {Array<'email' | 'ssn' | 'iban' | 'phone' | 'jwt' | 'bearerToken' | 'awsKey' | 'privateKey'>} [piiDetectors] - values hashed in addition to passwords and credit card numbers, none by default
+ * @property {'md5' | 'hmac-sha256' | 'last4' | 'redact'} [hashStrategy] - how sensitive values are masked, default md5
+ * @property {string} [hashSecret] - secret for the hmac-sha256 hashStrategy
+ * @property {string[]} [requestHeaderAllowlist] - only these request headers are captured, all by default
+ * @property {string[]} [requestHeaderDenylist] - these request headers are not captured
+ * @property {string[]} [responseHeaderAllowlist] - only these response headers are captured, all by default
+ * @property {string[]} [responseHeaderDenylist] - these response headers are not captured
+ * @property {string[]} [redactHeaders] - headers captured with a redacted value, default authorization, cookie, set-cookie, proxy-authorization and x-api-key
+ * @property {Array<string | RegExp>} [maskQueryParams] - query parameters of request uris to redact, default names with token, key, secret, signature or code
  * @property {boolean} [noAutoHideSensitive]
- * @property {(error: object) => any} [callback]
+ * @property {(error: object, events?: object | object[], queueStats?: object) => any} [callback]
  * @property {boolean} [disableBatching]
+ * @property {{ sendBatch: (events: object[]) => Promise<any> }} [transport] - send captured events somewhere else than Moesif
  * @property {number} [batchSize] - default 200
  * @property {number} [batchMaxTime] - default 2000
+ * @property {'gzip' | 'br' | 'none'} [batchCompression] - Content-Encoding of event batches, gzip without threshold if not set
+ * @property {number} [batchCompressionThreshold] - batches smaller than this many bytes are sent uncompressed, default 1024
+ * @property {number} [batchMaxBytes] - maximum size in bytes of the serialized events in a batch, unbounded by default
+ * @property {number} [maxQueueSize] - maximum number of queued events, unbounded by default
+ * @property {number} [maxInFlightBatches] - maximum number of batches sent at the same time, unbounded by default
+ * @property {'drop-oldest' | 'drop-newest' | 'sample-down'} [dropPolicy] - default drop-oldest
+ * @property {number} [batchRetryMaxAge] - keep retrying failed batches for this many milliseconds, default 0 (no retry)
+ * @property {number} [batchRetryBaseDelay] - default 1000
+ * @property {number} [batchRetryMaxDelay] - default 30000
+ * @property {string} [spoolDir] - directory to keep events that could not be sent, disabled by default
+ * @property {number} [spoolMaxBytes] - default 50MB
+ * @property {number} [spoolMaxAge] - default 24 hours
  * @property {string} [baseUri] - switch to another collector endpoint when using proxy
  * @property {number} [retry] - must be between 0 to 3 if provided.
  * @property {number} [requestMaxBodySize] - default 100000
  * @property {number} [responseMaxBodySize] - default 100000
  * @property {number} [maxOutgoingTimeout] - default 30000
+ * @property {boolean} [captureOutgoingHttp2] - also capture outgoing http2 client streams, default false
+ * @property {boolean} [propagateTransactionId] - add the transaction id header to outgoing calls made during an incoming request, default false
+ * @property {boolean} [propagateTraceparent] - add a W3C traceparent header to those outgoing calls, default false
+ * @property {boolean} [normalizeRouteIds] - without a route matched by the framework, use the path with ids replaced by :id as route_template, default false
+ * @property {boolean} [startTraceSpan] - start an OpenTelemetry span for incoming requests that are not part of a trace, default false
+ * @property {Array<{ id: string, key: 'userId' | 'companyId' | 'ip' | 'header', header?: string, algorithm?: 'fixed-window' | 'sliding-window' | 'token-bucket', limit: number, windowMs: number, regexConfig?: Array<object> }>} [rateLimitRules] - requests over a limit are blocked with 429, none by default
+ * @property {{ get: (key: string) => object | undefined, set: (key: string, state: object, ttlMs: number) => void }} [rateLimitStore] - where the rateLimitRules counters are kept, in memory by default
+ * @property {boolean | string[]} [rateLimitTrustProxy] - whether the ip key of rateLimitRules is taken from X-Forwarded-For, true or the addresses of the trusted proxies, false by default
+ * @property {'enforce' | 'shadow'} [governanceMode] - in shadow mode, governance rules are only recorded on events as would_block_by, default enforce
+ * @property {Object<string, 'enforce' | 'shadow'>} [governanceRuleModes] - governanceMode of single rules by rule id
  * @property {boolean} [isNextJsAppRouter] - default false
+ * @property {boolean} [flushOnExit] - flush queued events on SIGTERM and beforeExit, default false
  */
 
 /**
@@ -105,22 +157,48 @@ function makeMoesifMiddleware(options) {
     timeTookInSeconds(ensureValidOptionsStartTime, ensureValidOptionsEndTime)
   );
 
-  // config moesifapi
-  var config = moesifapi.configuration;
-  /**
-   * @type {string}
-   */
-  config.ApplicationId = options.applicationId || options.ApplicationId;
-  config.UserAgent = 'moesif-nodejs/' + '3.11.0';
-  config.BaseUri = options.baseUri || options.BaseUri || config.BaseUri;
-  // default retry to 1.
-  config.retry = isNil(options.retry) ? 1 : options.retry;
-  var moesifController = moesifapi.ApiController;
+  // config moesifapi, each middleware instance has its own so they don't overwrite each other.
+  var config = {
+    /**
+     * @type {string}
+     */
+    ApplicationId: options.applicationId || options.ApplicationId,
+    UserAgent: 'moesif-nodejs/' + '3.11.0',
+    BaseUri: options.baseUri || options.BaseUri || moesifapi.configuration.BaseUri,
+    // default retry to 1.
+    retry: isNil(options.retry) ? 1 : options.retry,
+  };
+  var moesifController = createApiClient(config);
+  var moesifConfigManager = new MoesifConfigManager(moesifController);
+  var governanceRulesManager = new GovernanceRulesManager(moesifController);
+  // captured events go to the transport if there is one, everything else still goes to Moesif.
+  var eventController = options.transport
+    ? createTransportController(options.transport)
+    : moesifController;
+  var batchController = eventController;
+  if (!options.transport && options.batchCompression) {
+    // batches go through our own sender when its compression is configured.
+    batchController = createBatchSender({
+      baseUri: config.BaseUri,
+      applicationId: config.ApplicationId,
+      userAgent: config.UserAgent,
+      compression: options.batchCompression,
+      compressionThreshold: options.batchCompressionThreshold,
+    });
+  }
 
   var logGovernance = function (message, details) {
     logMessage(options.debug, 'governance', message, details);
   };
   governanceRulesManager.setLogger(logGovernance);
+  if (options.rateLimitRules) {
+    governanceRulesManager.setRateLimitRules(
+      options.rateLimitRules,
+      options.rateLimitStore,
+      options.rateLimitTrustProxy
+    );
+  }
+  governanceRulesManager.setGovernanceMode(options.governanceMode, options.governanceRuleModes);
   moesifConfigManager.tryGetConfig();
   governanceRulesManager.tryGetRules();
 
@@ -181,18 +259,25 @@ function makeMoesifMiddleware(options) {
 
   options.maxOutgoingTimeout = options.maxOutgoingTimeout || 30000;
 
+  // size of the event in the batch payload, the serialized EventModel plus the separating comma.
+  var getEventSize = function (eventData) {
+    var size = Buffer.byteLength(JSON.stringify(new EventModel(eventData))) + 1;
+    logMessage(options.debug, 'createBatcher', 'queued event of ' + size + ' bytes');
+    return size;
+  };
+
   if (options.disableBatching) {
     batcher = null;
   } else {
     batcher = createBatcher(
-      function (eventArray) {
+      function (eventArray, done, attemptInfo) {
         // start log time batcher took staring here.
         var batcherStartTime = Date.now();
-        moesifController.createEventsBatch(
+        batchController.createEventsBatch(
           eventArray.map(function (logData) {
             return new EventModel(logData);
           }),
-          function (err, response) {
+          function (err, response, context) {
             var batcherEndTime = Date.now();
             logMessage(
               options.debug,
@@ -200,10 +285,14 @@ function makeMoesifMiddleware(options) {
               timeTookInSeconds(batcherStartTime, batcherEndTime)
             );
             if (err) {
-              logMessage(options.debug, 'saveEventsBatch', 'moesif API failed with error: ', err);
-              if (options.callback) {
-                options.callback(err, eventArray);
-              }
+              logMessage(
+                options.debug,
+                'saveEventsBatch',
+                'moesif API failed on attempt ' + attemptInfo.attempt + ' with error: ',
+                err
+              );
+              // the batcher retries or reports the failure through onGiveUp.
+              done(annotateBatchError(err, context));
             } else {
               moesifConfigManager.tryUpdateHash(response);
 
@@ -213,22 +302,131 @@ function makeMoesifMiddleware(options) {
                 'moesif API succeeded with batchSize ' + eventArray.length
               );
               if (options.callback) {
-                options.callback(null, eventArray);
+                options.callback(null, eventArray, batcher.getStats());
+              }
+              done();
+              // the collector is reachable again.
+              if (spoolPending) {
+                replaySpool();
               }
             }
           }
         );
       },
       options.batchSize,
-      options.batchMaxTime
+      options.batchMaxTime,
+      {
+        maxQueueSize: options.maxQueueSize,
+        maxInFlight: options.maxInFlightBatches,
+        dropPolicy: options.dropPolicy,
+        retryMaxAge: options.batchRetryMaxAge,
+        retryBaseDelay: options.batchRetryBaseDelay,
+        retryMaxDelay: options.batchRetryMaxDelay,
+        maxBytes: options.batchMaxBytes,
+        // only serialize the events up front when the size is actually used.
+        sizeOf: options.batchMaxBytes || options.debug ? getEventSize : undefined,
+        onGiveUp: function (eventArray, err) {
+          logMessage(
+            options.debug,
+            'saveEventsBatch',
+            'giving up sending batch of ' + eventArray.length + ' events'
+          );
+          // no point in keeping events the collector rejected.
+          if (spool && err.retryable) {
+            spoolPending = true;
+            spool.append(eventArray).catch(function (spoolErr) {
+              logMessage(options.debug, 'spool', 'failed to spool events', spoolErr);
+            });
+          }
+          if (options.callback) {
+            options.callback(err, eventArray, batcher.getStats());
+          }
+        },
+        onDrop: function (droppedCount, dropPolicy) {
+          logMessage(
+            options.debug,
+            'createBatcher',
+            'queue is full, dropped ' + droppedCount + ' events with policy ' + dropPolicy
+          );
+        },
+      }
     );
   }
 
+  var spool = null;
+  // true while the spool directory may hold events to replay.
+  var spoolPending = false;
+  var spoolReplaying = false;
+
+  var replaySpool = function () {
+    if (!spool || spoolReplaying) {
+      return;
+    }
+    spoolReplaying = true;
+    var stoppedEarly = false;
+    spool
+      .replay(function (events) {
+        var accepted = events;
+        if (options.maxQueueSize) {
+          var room = Math.max(options.maxQueueSize - batcher.getStats().queued, 0);
+          if (room < events.length) {
+            // leave the rest on disk rather than dropping events from the queue.
+            stoppedEarly = true;
+            accepted = events.slice(0, room);
+          }
+        }
+        accepted.forEach(function (eventData) {
+          batcher.add(eventData);
+        });
+        return accepted.length;
+      })
+      .then(function () {
+        spoolPending = stoppedEarly;
+      })
+      .catch(function (err) {
+        logMessage(options.debug, 'spool', 'failed to replay spooled events', err);
+      })
+      .then(function () {
+        spoolReplaying = false;
+      });
+  };
+
+  if (options.spoolDir) {
+    if (batcher) {
+      spool = createSpool(
+        {
+          dir: options.spoolDir,
+          maxBytes: options.spoolMaxBytes,
+          maxAge: options.spoolMaxAge,
+        },
+        function (text) {
+          logMessage(options.debug, 'spool', text);
+        }
+      );
+      // events left over from a previous run.
+      spoolPending = true;
+      replaySpool();
+    } else {
+      logMessage(options.debug, 'spool', 'spoolDir is ignored since batching is disabled');
+    }
+  }
+
+  // set by close(), stops refreshing config and governance rules.
+  var closed = false;
+  // single event sends (when batching is disabled) that flush() should wait for.
+  var pendingEventSends = new Set();
+
+  var tryRefreshConfigAndRules = function () {
+    if (!closed) {
+      moesifConfigManager.tryGetConfig();
+      governanceRulesManager.tryGetRules();
+    }
+  };
+
   var trySaveEventLocal = function (eventData) {
     var trySaveEventLocalStartTime = Date.now();
     var tryGetConfigStartTime = Date.now();
-    moesifConfigManager.tryGetConfig();
-    governanceRulesManager.tryGetRules();
+    tryRefreshConfigAndRules();
 
     var tryGetConfigEndTime = Date.now();
     logMessage(
@@ -267,7 +465,14 @@ function makeMoesifMiddleware(options) {
       } else {
         var sendEventStartTime = Date.now();
         var sendEventEndTime;
-        moesifController.createEvent(new EventModel(eventData), function (err) {
+        var releasePendingSend;
+        var pendingSend = new Promise(function (resolve) {
+          releasePendingSend = resolve;
+        });
+        pendingEventSends.add(pendingSend);
+        eventController.createEvent(new EventModel(eventData), function (err) {
+          pendingEventSends.delete(pendingSend);
+          releasePendingSend();
           logMessage(options.debug, 'saveEvent', 'moesif API callback err=' + err);
           if (err) {
             logMessage(options.debug, 'saveEvent', 'moesif API failed with error.');
@@ -303,6 +508,22 @@ function makeMoesifMiddleware(options) {
     );
   };
 
+  // returns the governed response if there are governance rules, null otherwise.
+  var governRequest = function (req, res) {
+    if (!governanceRulesManager.hasRules()) {
+      return null;
+    }
+    return governanceRulesManager.governRequest(
+      moesifConfigManager._config,
+      // this may cause identifyUser and identifyCompany to be called twice,
+      // but this should be ok, but in order to block for governance rule
+      // we have to trigger this earlier in the stream before response might be ready
+      ensureToString(options.identifyUser(req, res)),
+      ensureToString(options.identifyCompany(req, res)),
+      req
+    );
+  };
+
   /**
    * @param {object} arg1 - the middleware arguments may vary depends framework
    * @param {any} [arg2]
@@ -317,7 +538,7 @@ function makeMoesifMiddleware(options) {
 
     var koaContext = null;
     // If Koa context, use correct arguments
-    if (arg1.req && arg1.res && arg1.state && arg1.app) {
+    if (koaUtils.isKoaContext(arg1)) {
       logMessage(options.debug, 'moesifMiddleware', 'Using Koa context');
       koaContext = arg1;
       req = koaContext.req;
@@ -471,8 +692,9 @@ function makeMoesifMiddleware(options) {
     // Add TransactionId to the response send to the client
     var addTxIdToResponseStartTime = Date.now();
     let disableTransactionId = options.disableTransactionId ? options.disableTransactionId : false;
+    let txId;
     if (!disableTransactionId) {
-      let txId = reqHeaders[TRANSACTION_ID_HEADER] || dataUtils.generateUUIDv4();
+      txId = reqHeaders[TRANSACTION_ID_HEADER] || dataUtils.generateUUIDv4();
       // Use setHeader() instead of set() so it works with plain http-module and Express
       res.setHeader(TRANSACTION_ID_HEADER, txId);
     }
@@ -483,6 +705,15 @@ function makeMoesifMiddleware(options) {
       timeTookInSeconds(addTxIdToResponseStartTime, addTxIdToResponseEndTime)
     );
 
+    var incomingTrace = traceContext.startIncomingTrace(
+      function (name) {
+        return reqHeaders[name];
+      },
+      req.method,
+      options.startTraceSpan
+    );
+    req._moTrace = incomingTrace.trace;
+
     res.end = function (chunk, encoding, callback) {
       var finalBuf = resBodyBuf;
 
@@ -501,6 +732,11 @@ function makeMoesifMiddleware(options) {
       res._mo_end(chunk, encoding, callback);
 
       res._endTime = new Date();
+      incomingTrace.end(res.statusCode);
+      if (koaContext && typeof koaContext._matchedRoute === 'string') {
+        // set by @koa/router and koa-router.
+        req._moRouteTemplate = koaContext._matchedRoute;
+      }
 
       try {
         // if req.body does not exist by koaContext exists try to extract body
@@ -589,32 +825,21 @@ function makeMoesifMiddleware(options) {
       //end of patched res.end function
     };
 
-    if (governanceRulesManager.hasRules()) {
-      var governedResponseHolder = governanceRulesManager.governRequest(
-        moesifConfigManager._config,
-        // this may cause identifyUser and identifyCompany to be called twice,
-        // but this should be ok, but in order to block for governance rule
-        // we have to trigger this earlier in the stream before response might be ready
-        ensureToString(options.identifyUser(req, res)),
-        ensureToString(options.identifyCompany(req, res)),
-        req
-      );
-      // always add the headers if exists in case of non blocking rules that
-      // just add headers.
-      if (governedResponseHolder.headers) {
-        Object.entries(governedResponseHolder.headers).forEach(function (entry) {
-          var headerKey = entry[0];
-          var headerVal = entry[1];
-          res.setHeader(headerKey, headerVal);
+    var governedResponseHolder = governRequest(req, res);
+    if (governedResponseHolder) {
+      // recorded before the blocked response ends, which captures the event.
+      var blocked = governUtils.recordGovernedResponse(res, governedResponseHolder, options);
+      if (koaContext) {
+        // koa sends the blocked response itself once the middleware returns without next().
+        koaUtils.applyKoaGovernance(koaContext, governedResponseHolder);
+      } else {
+        governUtils.setGovernedHeaders(governedResponseHolder.headers, function (name, value) {
+          res.setHeader(name, value);
         });
-      }
-
-      if (governedResponseHolder.blocked_by) {
-        res._mo_blocked_by = governedResponseHolder.blocked_by;
-        res._mo_blocked_body = governedResponseHolder.body;
-
-        res.statusCode = governedResponseHolder.status;
-        res.end(JSON.stringify(governedResponseHolder.body));
+        if (blocked) {
+          res.statusCode = governedResponseHolder.status;
+          res.end(JSON.stringify(governedResponseHolder.body));
+        }
       }
     }
 
@@ -628,7 +853,13 @@ function makeMoesifMiddleware(options) {
 
     // do not trigger next in middleware chain if it is already blocked.
     if (next && !res._mo_blocked_by) {
-      return next();
+      // outgoing calls made while handling the request are attributed to it.
+      return runWithRequestContext(
+        { req: req, res: res, transactionId: txId, trace: incomingTrace.trace },
+        function () {
+          return incomingTrace.run(next);
+        }
+      );
     }
   };
 
@@ -640,10 +871,49 @@ function makeMoesifMiddleware(options) {
         const requestTime = new Date().toISOString();
         let requestForLogging = options?.logBody ? request.clone() : request;
 
-        const response = await handler(request, context);
-
+        let txId;
         if (!options.disableTransactionId) {
-          let txId = request.headers.get(TRANSACTION_ID_HEADER) || dataUtils.generateUUIDv4();
+          txId = request.headers.get(TRANSACTION_ID_HEADER) || dataUtils.generateUUIDv4();
+        }
+
+        const incomingTrace = traceContext.startIncomingTrace(
+          (name) => request.headers.get(name),
+          request.method,
+          options.startTraceSpan
+        );
+
+        const governedResponseHolder = await governNextJsRequest(
+          request,
+          options,
+          governanceRulesManager,
+          moesifConfigManager._config
+        );
+        const blockedBy =
+          (governedResponseHolder && governedResponseHolder.blocked_by) || undefined;
+
+        let response;
+        if (blockedBy) {
+          logMessage(options.debug, 'moesifMiddleware', 'request blocked by ' + blockedBy);
+          // the handler is not called for blocked requests.
+          response = createNextJsBlockedResponse(governedResponseHolder);
+          incomingTrace.end(response.status);
+        } else {
+          // outgoing calls made by the handler are attributed to the request.
+          try {
+            response = await runWithRequestContext(
+              { req: request, transactionId: txId, trace: incomingTrace.trace },
+              () => incomingTrace.run(() => handler(request, context))
+            );
+          } finally {
+            incomingTrace.end(response && response.status);
+          }
+          if (governedResponseHolder) {
+            // headers of non blocking rules.
+            mergeNextJsGovernedHeaders(response, governedResponseHolder.headers);
+          }
+        }
+
+        if (txId) {
           response.headers.set(TRANSACTION_ID_HEADER, txId);
         }
 
@@ -655,13 +925,29 @@ function makeMoesifMiddleware(options) {
           response: responseForLogging,
           responseTime,
           options,
-          saveEvent: trySaveEventLocal
+          saveEvent: trySaveEventLocal,
+          blockedBy,
+          wouldBlockBy: governedResponseHolder && governedResponseHolder.would_block_by,
+          wouldBlockStatus: governedResponseHolder && governedResponseHolder.would_block_status,
+          trace: incomingTrace.trace,
         });
 
         return response;
       };
     };
   }
+  /**
+   * Fastify plugin capturing the API calls of the Fastify instance it is registered on.
+   * e.g. fastify.register(moesifMiddleware.fastifyPlugin)
+   */
+  moesifMiddleware.fastifyPlugin = createFastifyPlugin(options, trySaveEventLocal, governRequest);
+
+  /**
+   * Hapi plugin capturing the API calls of the Hapi server it is registered on.
+   * e.g. await server.register(moesifMiddleware.hapiPlugin)
+   */
+  moesifMiddleware.hapiPlugin = createHapiPlugin(options, trySaveEventLocal, governRequest);
+
   /**
    * @param {object} userModel - https://www.moesif.com/docs/api?javascript--nodejs#update-a-user
    * @param {function} [cb]
@@ -881,8 +1167,7 @@ function makeMoesifMiddleware(options) {
   // Expose governance rule helpers using internally cached config
   moesifMiddleware.getApplicableRulesForUserId = function (userId) {
     // refresh config/rules opportunistically
-    moesifConfigManager.tryGetConfig();
-    governanceRulesManager.tryGetRules();
+    tryRefreshConfigAndRules();
     if (!governanceRulesManager.hasRules()) {
       return [];
     }
@@ -893,8 +1178,7 @@ function makeMoesifMiddleware(options) {
   };
 
   moesifMiddleware.getApplicableRulesForCompanyId = function (companyId) {
-    moesifConfigManager.tryGetConfig();
-    governanceRulesManager.tryGetRules();
+    tryRefreshConfigAndRules();
     if (!governanceRulesManager.hasRules()) {
       return [];
     }
@@ -904,6 +1188,76 @@ function makeMoesifMiddleware(options) {
     );
   };
 
+  /**
+   * Sends all queued events right away.
+   * @returns {Promise<void>} resolves once the pending sends have completed.
+   */
+  moesifMiddleware.flush = function () {
+    logMessage(options.debug, 'flush', 'flushing queued events');
+    if (batcher) {
+      return batcher.flush().then(function () {
+        // failed batches may still be written to the spool.
+        return spool ? spool.drain() : undefined;
+      });
+    }
+    return Promise.all(Array.from(pendingEventSends)).then(noop);
+  };
+
+  /**
+   * Counters of the event queue, dropped counts events that were discarded
+   * because the queue reached maxQueueSize.
+   * @returns {{queued: number, inFlight: number, dropped: number}}
+   */
+  moesifMiddleware.getQueueStats = function () {
+    if (batcher) {
+      return batcher.getStats();
+    }
+    return {
+      queued: 0,
+      inFlight: pendingEventSends.size,
+      dropped: 0,
+    };
+  };
+
+  var removeExitHooks = noop;
+
+  /**
+   * Flushes queued events, stops capturing outgoing calls and stops refreshing
+   * config and governance rules. Call it before the process exits.
+   * @returns {Promise<void>}
+   */
+  moesifMiddleware.close = function () {
+    logMessage(options.debug, 'close', 'closing moesif middleware');
+    closed = true;
+    removeExitHooks();
+    if (moesifMiddleware._mo_patch) {
+      moesifMiddleware._mo_patch();
+      moesifMiddleware._mo_patch = null;
+    }
+    return moesifMiddleware.flush();
+  };
+
+  if (options.flushOnExit) {
+    var onBeforeExit = function () {
+      moesifMiddleware.flush();
+    };
+    var onSigterm = function () {
+      moesifMiddleware.close().then(function () {
+        // our listener disabled the default SIGTERM behavior, so raise it
+        // again unless the application handles SIGTERM itself.
+        if (process.listenerCount('SIGTERM') === 0) {
+          process.kill(process.pid, 'SIGTERM');
+        }
+      });
+    };
+    process.once('beforeExit', onBeforeExit);
+    process.once('SIGTERM', onSigterm);
+    removeExitHooks = function () {
+      process.removeListener('beforeExit', onBeforeExit);
+      process.removeListener('SIGTERM', onSigterm);
+    };
+  }
+
   logMessage(options.debug, 'moesifInitiator', 'returning moesifMiddleware Function');
   return moesifMiddleware;
 }
@@ -0,0 +1,44 @@
+/*
+ * Koa support of the middleware.
+ *
+ * The middleware captures Koa requests from the raw node request and response of the
+ * context, like any other. Governed responses go through the context though, so Koa
+ * sends them itself and the middleware downstream sees the status, body and headers.
+ */
+
+var isNil = require('lodash/isNil');
+var setGovernedHeaders = require('./governUtils').setGovernedHeaders;
+
+/**
+ * @param {object} arg - the first argument the middleware is called with.
+ * @returns {boolean} whether it's a Koa context, instead of a request.
+ */
+function isKoaContext(arg) {
+  return Boolean(arg && arg.req && arg.res && arg.state && arg.app);
+}
+
+/**
+ * Applies the governed response to a Koa context, the headers of all rules and the
+ * status and body of a blocking one. A blocked request is not passed on to next().
+ * @param {object} koaContext
+ * @param {{ status: number, headers: object, body: any, blocked_by: string }} governedResponseHolder
+ * @returns {boolean} whether the request is blocked.
+ */
+function applyKoaGovernance(koaContext, governedResponseHolder) {
+  setGovernedHeaders(governedResponseHolder.headers, function (name, value) {
+    koaContext.set(name, value);
+  });
+  if (!governedResponseHolder.blocked_by) {
+    return false;
+  }
+  // the status goes first, so koa does not reset it to 200 for the body.
+  koaContext.status = governedResponseHolder.status;
+  // a body object is sent as json, with the content type of the rule.
+  koaContext.body = isNil(governedResponseHolder.body) ? '' : governedResponseHolder.body;
+  return true;
+}
+
+module.exports = {
+  isKoaContext: isKoaContext,
+  applyKoaGovernance: applyKoaGovernance,
+};
@@ -0,0 +1,200 @@
+/*
+ * Declarative masking of event fields, the maskFields option.
+ *
+ * Each rule has a path to the fields it applies to, starting with request.headers,
+ * request.body, response.headers or response.body, and an action:
+ *   redact - replaces the value with *****.
+ *   hash - replaces the value with its hash, by the hashStrategy option.
+ *   drop - removes the field.
+ *
+ * A path segment is a key, or a glob where * matches any characters, e.g. x-api-*.
+ * [*] or * matches all items of an array, [0] a single item, and ** any number of
+ * nested keys, e.g. response.body.**.token. Header names are matched case insensitively.
+ *
+ * The event is not modified in place, since its bodies can be the objects the app works with.
+ */
+
+var hashing = require('./hashing');
+
+var ACTIONS = ['redact', 'hash', 'drop'];
+var ROOTS = ['request.headers', 'request.body', 'response.headers', 'response.body'];
+var DEEP = '**';
+
+// compiled rules of each maskFields option.
+var compiledCache = new WeakMap();
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileSegment(segment, caseInsensitive) {
+  if (segment === DEEP) {
+    return { deep: true };
+  }
+  var arrayIndex = /^\d+$/.test(segment) ? Number(segment) : undefined;
+  if (segment.indexOf('*') === -1) {
+    return {
+      arrayIndex: arrayIndex,
+      test: function (key) {
+        return caseInsensitive ? key.toLowerCase() === segment.toLowerCase() : key === segment;
+      },
+    };
+  }
+  var pattern = new RegExp(
+    '^' + segment.split('*').map(escapeRegExp).join('.*') + '$',
+    caseInsensitive ? 'i' : ''
+  );
+  return {
+    anyIndex: segment === '*',
+    test: function (key) {
+      return pattern.test(key);
+    },
+  };
+}
+
+// e.g. response.body.items[*].token to ['response', 'body', 'items', '*', 'token'].
+function splitPath(path) {
+  return path
+    .replace(/\[([^\]]*)\]/g, '.$1')
+    .split('.')
+    .filter(function (segment) {
+      return segment !== '';
+    });
+}
+
+/**
+ * @param {Array<string | { path: string, action?: string }>} maskFields - a string is a path to redact.
+ * @returns {Array<{ root: string[], segments: object[], action: string }>}
+ */
+function compileMaskFields(maskFields) {
+  if (!Array.isArray(maskFields)) {
+    throw new Error('maskFields must be an array of paths or { path, action } objects');
+  }
+  return maskFields.map(function (rule) {
+    var path = typeof rule === 'string' ? rule : rule && rule.path;
+    var action = (rule && rule.action) || 'redact';
+    if (typeof path !== 'string') {
+      throw new Error('maskFields path must be a string');
+    }
+    if (ACTIONS.indexOf(action) === -1) {
+      throw new Error('maskFields action of ' + path + ' must be one of ' + ACTIONS.join(', '));
+    }
+    var segments = splitPath(path);
+    var root = segments.slice(0, 2).join('.');
+    if (ROOTS.indexOf(root) === -1 || segments.length < 3) {
+      throw new Error('maskFields path ' + path + ' must start with one of ' + ROOTS.join(', '));
+    }
+    if (segments[segments.length - 1] === DEEP) {
+      throw new Error('maskFields path ' + path + ' must not end with ' + DEEP);
+    }
+    var caseInsensitive = segments[1] === 'headers';
+    return {
+      root: segments.slice(0, 2),
+      segments: segments.slice(2).map(function (segment) {
+        return compileSegment(segment, caseInsensitive);
+      }),
+      action: action,
+    };
+  });
+}
+
+function getCompiled(maskFields) {
+  var compiled = compiledCache.get(maskFields);
+  if (!compiled) {
+    compiled = compileMaskFields(maskFields);
+    compiledCache.set(maskFields, compiled);
+  }
+  return compiled;
+}
+
+function maskValue(value, action, hash) {
+  if (action === 'hash') {
+    return hash(typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  return hashing.REDACTED;
+}
+
+function matchesIndex(segment, index) {
+  return segment.anyIndex || segment.arrayIndex === index;
+}
+
+// returns a copy of value with the fields matching segments[i..] masked.
+function maskAt(value, segments, i, action, hash) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  var segment = segments[i];
+  if (segment.deep) {
+    // ** matches no keys, or one more key while staying on the same segment.
+    var masked = maskAt(value, segments, i + 1, action, hash);
+    return mapChildren(masked, function (child) {
+      return maskAt(child, segments, i, action, hash);
+    });
+  }
+
+  var isLast = i === segments.length - 1;
+  if (Array.isArray(value)) {
+    var items = [];
+    value.forEach(function (item, index) {
+      if (!matchesIndex(segment, index)) {
+        items.push(item);
+      } else if (!isLast) {
+        items.push(maskAt(item, segments, i + 1, action, hash));
+      } else if (action !== 'drop') {
+        items.push(maskValue(item, action, hash));
+      }
+    });
+    return items;
+  }
+
+  var result = {};
+  Object.keys(value).forEach(function (key) {
+    if (!segment.test(key)) {
+      result[key] = value[key];
+    } else if (!isLast) {
+      result[key] = maskAt(value[key], segments, i + 1, action, hash);
+    } else if (action !== 'drop') {
+      result[key] = maskValue(value[key], action, hash);
+    }
+  });
+  return result;
+}
+
+function mapChildren(value, fn) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(fn);
+  }
+  var result = {};
+  Object.keys(value).forEach(function (key) {
+    result[key] = fn(value[key]);
+  });
+  return result;
+}
+
+/**
+ * @param {object} logData - event with request and response.
+ * @param {Array<string | { path: string, action?: string }>} [maskFields]
+ * @param {(value: any) => string} [hash] - for the hash action, see hashing.js.
+ * @returns {object} the event with copies of its headers and bodies, masked by the rules.
+ */
+function applyMaskFields(logData, maskFields, hash) {
+  if (!maskFields || maskFields.length === 0) {
+    return logData;
+  }
+  var hashValue = hash || hashing.createHasher();
+  getCompiled(maskFields).forEach(function (rule) {
+    var part = logData[rule.root[0]];
+    if (part && part[rule.root[1]]) {
+      part[rule.root[1]] = maskAt(part[rule.root[1]], rule.segments, 0, rule.action, hashValue);
+    }
+  });
+  return logData;
+}
+
+module.exports = {
+  compileMaskFields: compileMaskFields,
+  applyMaskFields: applyMaskFields,
+};
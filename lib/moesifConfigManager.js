@@ -14,7 +14,11 @@ function now() {
   return new Date().getTime();
 }
 
-function MoesifConfigManager() {
+/**
+ * @param {object} [apiClient] - client to fetch the config with, defaults to the moesifapi ApiController.
+ */
+function MoesifConfigManager(apiClient) {
+  this._apiClient = apiClient || moesifController;
   this._lastConfigUpdate = 0;
 }
 
@@ -39,7 +43,7 @@ MoesifConfigManager.prototype.tryGetConfig = function () {
 
     var that = this;
 
-    moesifController.getAppConfig(function (err, __, event) {
+    this._apiClient.getAppConfig(function (err, __, event) {
       that._loadingConfig = false;
       if (event && event.response && event.response.statusCode === 200) {
         that._configHash = event.response.headers[HASH_HEADER];
@@ -93,3 +97,5 @@ MoesifConfigManager.prototype.tryUpdateHash = function (response) {
 };
 
 module.exports = new MoesifConfigManager();
+// every middleware instance creates its own.
+module.exports.MoesifConfigManager = MoesifConfigManager;
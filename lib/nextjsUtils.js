@@ -1,7 +1,9 @@
 'use strict';
-const { bodyToBase64, ensureToString, logMessage, hashSensitive } = require('./dataUtils');
-
-const TRANSACTION_ID_HEADER = 'x-moesif-transaction-id';
+const { bodyToBase64, ensureToString, logMessage } = require('./dataUtils');
+const traceContext = require('./traceContext');
+const routeTemplate = require('./routeTemplate');
+const { applyEventMasking } = require('./eventMasking');
+const { TRANSACTION_ID_HEADER } = require('./governUtils');
 
 function getNextJsFullUrl(request) {
 
@@ -77,6 +79,73 @@ function getNextJsHeaders(rawHeadersObject) {
   return result;
 }
 
+// the path and query, like req.originalUrl of express, that governance rules match the route on.
+function getNextJsRoute(request) {
+  try {
+    const url = new URL(request.url, 'http://localhost');
+    return url.pathname + url.search;
+  } catch {
+    return request.url;
+  }
+}
+
+// only json bodies are read, for rules on request.body fields.
+async function safeGetNextJsJsonBody(request) {
+  const contentType = request.headers.get('content-type');
+  if (!contentType || contentType.indexOf('json') === -1) {
+    return null;
+  }
+  try {
+    return await request.clone().json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Evaluates the governance rules for a request before its handler is called.
+ * @param {Request} request
+ * @param {object} options - the normalized middleware options.
+ * @param {object} governanceRulesManager
+ * @param {object} config - the app config, with the cohorts of users and companies.
+ * @returns {Promise<object | null>} the governed response, null if there are no rules.
+ */
+async function governNextJsRequest(request, options, governanceRulesManager, config) {
+  if (!governanceRulesManager.hasRules()) {
+    return null;
+  }
+  return governanceRulesManager.governRequestNextJs(
+    config,
+    ensureToString(options.identifyUser(request)),
+    ensureToString(options.identifyCompany(request)),
+    await safeGetNextJsJsonBody(request),
+    getNextJsHeaders(request.headers),
+    getNextJsRoute(request),
+    getNextJsIp(request),
+    request.method
+  );
+}
+
+/**
+ * @param {{ status: number, headers: object, body: any }} governedResponseHolder - of a blocking rule.
+ * @returns {Response}
+ */
+function createNextJsBlockedResponse(governedResponseHolder) {
+  return new Response(JSON.stringify(governedResponseHolder.body), {
+    status: governedResponseHolder.status,
+    headers: governedResponseHolder.headers,
+  });
+}
+
+// like res.setHeader before the handler runs for express, headers set by the handler take precedence.
+function mergeNextJsGovernedHeaders(response, headers) {
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (!response.headers.has(name)) {
+      response.headers.set(name, value);
+    }
+  });
+}
+
 async function extractNextJsEventDataAndSave({
   request,
   requestTime,
@@ -85,6 +154,9 @@ async function extractNextJsEventDataAndSave({
   options,
   saveEvent,
   blockedBy,
+  wouldBlockBy,
+  wouldBlockStatus,
+  trace,
 }) {
   if (options.skip(request, response)) {
     logMessage(options.debug, 'skipped logging to moesif due to skip', request.url);
@@ -95,9 +167,21 @@ async function extractNextJsEventDataAndSave({
     blockedBy,
     userId: ensureToString(options.identifyUser(request, response)),
     companyId: ensureToString(options.identifyUser(request, response)),
-    metadata: options.getMetadata(request, response),
+    metadata: traceContext.addTraceToMetadata(options.getMetadata(request, response), trace),
     sessionToken: options.getSessionToken(request, response),
   };
+  logData.metadata = routeTemplate.addRouteTemplateToMetadata(
+    logData.metadata,
+    routeTemplate.getRouteTemplate(request, options)
+  );
+  if (wouldBlockBy) {
+    // the request was let through, since the rules that would block it are in shadow mode.
+    logData.metadata = {
+      would_block_by: wouldBlockBy,
+      would_block_status: wouldBlockStatus,
+      ...logData.metadata,
+    };
+  }
 
   logData.request = {
     ipAddress: getNextJsIp(request),
@@ -123,19 +207,8 @@ async function extractNextJsEventDataAndSave({
     logData.response.transferEncoding = requestBodyInfo.transferEncoding;
   }
 
-  if (!options.noAutoHideSensitive) {
-    var noAutoHideSensitiveStartTime = Date.now();
-    // autoHide
-    try {
-      logData.request.headers = hashSensitive(logData.request.headers, options.debug);
-      logData.request.body = hashSensitive(logData.request.body, options.debug);
-      logData.response.headers = hashSensitive(logData.response.headers, options.debug);
-      logData.response.body = hashSensitive(logData.response.body, options.debug);
-    } catch (err) {
-      logMessage(options.debug, 'formatEventDataAndSave', 'error on hashSensitive err=' + err);
-    }
-    var noAutoHideSensitiveEndTime = Date.now();
-  }
+  logData = applyEventMasking(logData, options);
+
   if (logData.response.headers[TRANSACTION_ID_HEADER]) {
     logData.request.headers[TRANSACTION_ID_HEADER] =
       logData.response.headers[TRANSACTION_ID_HEADER];
@@ -143,11 +216,12 @@ async function extractNextJsEventDataAndSave({
 
   logMessage(options.debug, `extractNextJsEventDataAndSave`, `finished formatting nextjs log data and sending to moesif`);
 
-  logData = options.maskContent(logData);
-
   return saveEvent(logData);
 }
 
 module.exports = {
   extractNextJsEventDataAndSave,
+  governNextJsRequest,
+  createNextJsBlockedResponse,
+  mergeNextJsGovernedHeaders,
 };
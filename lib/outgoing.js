@@ -2,14 +2,76 @@
 
 var http = require('http');
 var https = require('https');
+var http2 = require('http2');
 var dataUtils = require('./dataUtils');
+var requestContext = require('./requestContext');
+var traceContext = require('./traceContext');
 var util = require('util');
 var nodeUrl = require('url');
 
 var getEventModelFromRequestAndResponse = dataUtils.getEventModelFromRequestAndResponse;
 var appendChunk = dataUtils.appendChunk;
 
+var TRANSACTION_ID_HEADER = require('./governUtils').TRANSACTION_ID_HEADER;
+const TRACEPARENT_HEADER = 'traceparent';
+const TRACESTATE_HEADER = 'tracestate';
+
+// the recorder gets the context of the incoming request active when the outgoing call started,
+// the response callbacks may run in another context, e.g. for a reused keep-alive socket.
+function withRequestContext(recorder) {
+  var parentContext = requestContext.getRequestContext();
+  return function (logData) {
+    recorder(logData, parentContext);
+  };
+}
+
+// headers to add to an outgoing call, so the services it calls can continue the
+// transaction of the incoming request being handled. Headers already set by the caller are kept.
+function getPropagationHeaders(moesifOptions, hasHeader) {
+  var headers = {};
+  var context = requestContext.getRequestContext();
+  if (!moesifOptions || !context) {
+    return headers;
+  }
+  if (
+    moesifOptions.propagateTransactionId &&
+    context.transactionId &&
+    !hasHeader(TRANSACTION_ID_HEADER)
+  ) {
+    headers[TRANSACTION_ID_HEADER] = context.transactionId;
+  }
+  if (
+    moesifOptions.propagateTraceparent &&
+    (context.trace || context.transactionId) &&
+    !hasHeader(TRACEPARENT_HEADER)
+  ) {
+    headers[TRACEPARENT_HEADER] = traceContext.createTraceparent(context);
+    if (context.trace && context.trace.traceState && !hasHeader(TRACESTATE_HEADER)) {
+      headers[TRACESTATE_HEADER] = context.trace.traceState;
+    }
+  }
+  return headers;
+}
+
+function propagateToRequest(request, moesifOptions, logger) {
+  if (request.headersSent) {
+    return;
+  }
+  var headers = getPropagationHeaders(moesifOptions, function (name) {
+    return !!request.getHeader(name);
+  });
+  Object.keys(headers).forEach(function (name) {
+    try {
+      request.setHeader(name, headers[name]);
+    } catch (err) {
+      logger('error adding ' + name + ' header to outgoing request', err);
+    }
+  });
+}
+
 function isMoesif(request, requestOptions) {
+  // the calls of a transport, which don't go to moesif.net or have its headers.
+  if (requestContext.isOwnSend()) return true;
   if (typeof requestOptions === 'string') {
     if(requestOptions.includes('moesif.net')) return true;
   }
@@ -88,6 +150,8 @@ function track(requestOptions, request, recorder, logger, moesifOptions) {
     logger('skip capturing requests to moesif itself');
     return;
   }
+  propagateToRequest(request, moesifOptions, logger);
+  recorder = withRequestContext(recorder);
 
   var startTime = new Date();
 
@@ -261,6 +325,317 @@ function track(requestOptions, request, recorder, logger, moesifOptions) {
   }, moesifOptions.maxOutgoingTimeout || 30000);
 }
 
+function headersToObject(headers) {
+  var headersObject = {};
+  headers.forEach(function (value, key) {
+    headersObject[key] = value;
+  });
+  return headersObject;
+}
+
+// only bodies that can be read right away, streams and form data are not captured.
+function getFetchRequestBody(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  if (body instanceof URLSearchParams) {
+    return body.toString();
+  }
+  if (body instanceof ArrayBuffer) {
+    return Buffer.from(body);
+  }
+  if (ArrayBuffer.isView(body)) {
+    return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  }
+  return null;
+}
+
+function bodyTooLargeMessage(direction, maxSize) {
+  return JSON.stringify({
+    msg: direction + '.body.length exceeded options ' + direction + 'MaxBodySize of ' + maxSize,
+  });
+}
+
+// reads a body stream up to maxSize bytes, larger bodies are replaced by a message.
+function readBodyStream(stream, direction, maxSize, timeout) {
+  return new Promise(function (resolve) {
+    var reader = stream.getReader();
+    var body = null;
+    var finished = false;
+    var finish = function (result) {
+      if (!finished) {
+        finished = true;
+        clearTimeout(timer);
+        resolve(result);
+      }
+    };
+    // e.g. a long running event stream, record what was received so far.
+    var timer = setTimeout(function () {
+      reader.cancel().catch(function () {});
+      finish(body);
+    }, timeout);
+    var read = function () {
+      reader.read().then(
+        function (chunk) {
+          if (chunk.done) {
+            finish(body);
+            return;
+          }
+          body = appendChunk(body, Buffer.from(chunk.value));
+          if (body.length > maxSize) {
+            // the copy is no longer needed, stop buffering it.
+            reader.cancel().catch(function () {});
+            finish(bodyTooLargeMessage(direction, maxSize));
+            return;
+          }
+          read();
+        },
+        function () {
+          finish(body);
+        }
+      );
+    };
+    read();
+  });
+}
+
+function trackFetch(originalFetch, args, recorder, logger, moesifOptions) {
+  var input = args[0];
+  var init = args[1] || {};
+  var inputIsRequest = typeof Request !== 'undefined' && input instanceof Request;
+
+  var url = inputIsRequest ? input.url : String(input);
+  var headers = new Headers(init.headers || (inputIsRequest ? input.headers : undefined));
+  // looks like an http.ClientRequest to isMoesif and getEventModelFromRequestAndResponse.
+  var request = {
+    getHeader: function (name) {
+      return headers.get(name);
+    },
+    getHeaders: function () {
+      return headersToObject(headers);
+    },
+  };
+  var requestOptions;
+  try {
+    requestOptions = urlToHttpOptions(new nodeUrl.URL(url));
+  } catch (err) {
+    // fetch rejects it anyways.
+    logger('not capturing fetch with invalid url ' + url, err);
+    return originalFetch.apply(globalThis, args);
+  }
+  requestOptions.method = (init.method || (inputIsRequest ? input.method : 'GET')).toUpperCase();
+
+  if (isMoesif(request, url)) {
+    logger('skip capturing requests to moesif itself');
+    return originalFetch.apply(globalThis, args);
+  }
+  logger('initiating capturing of outgoing fetch ' + requestOptions.method + ' ' + url);
+  recorder = withRequestContext(recorder);
+
+  var propagationHeaders = getPropagationHeaders(moesifOptions, function (name) {
+    return headers.has(name);
+  });
+  var propagatedNames = Object.keys(propagationHeaders);
+  if (propagatedNames.length > 0) {
+    propagatedNames.forEach(function (name) {
+      headers.set(name, propagationHeaders[name]);
+    });
+    // headers was copied from init or the Request, so it replaces them.
+    args = [input, Object.assign({}, init, { headers: headers })].concat(args.slice(2));
+  }
+
+  var maxTime = moesifOptions.maxOutgoingTimeout || 30000;
+  var requestBodyPromise = Promise.resolve(getFetchRequestBody(init.body));
+  if (!init.body && inputIsRequest && input.body) {
+    // read from a copy, fetch consumes the body of the original.
+    requestBodyPromise = readBodyStream(
+      input.clone().body,
+      'request',
+      moesifOptions.requestMaxBodySize,
+      maxTime
+    );
+  }
+  var startTime = new Date();
+
+  var record = function (response, responseBody) {
+    requestBodyPromise.then(function (requestBody) {
+      if (requestBody && requestBody.length > moesifOptions.requestMaxBodySize) {
+        requestBody = bodyTooLargeMessage('request', moesifOptions.requestMaxBodySize);
+      }
+      recorder(
+        getEventModelFromRequestAndResponse(
+          requestOptions,
+          request,
+          startTime,
+          requestBody,
+          response,
+          new Date(),
+          responseBody
+        )
+      );
+    });
+  };
+
+  return originalFetch.apply(globalThis, args).then(
+    function (response) {
+      var capturedResponse = {
+        statusCode: response.status,
+        headers: headersToObject(response.headers),
+      };
+      if (!response.body) {
+        record(capturedResponse, null);
+        return response;
+      }
+      // the copy is read in parallel to the caller reading the original.
+      readBodyStream(
+        response.clone().body,
+        'response',
+        moesifOptions.responseMaxBodySize,
+        maxTime
+      ).then(function (responseBody) {
+        record(capturedResponse, responseBody);
+      });
+      return response;
+    },
+    function (err) {
+      logger('on error for outgoing fetch ' + url, err);
+      record(null, null);
+      throw err;
+    }
+  );
+}
+
+// global fetch in node 18 and above is undici, which does not go through http.request.
+function patchFetch(recorder, logger, moesifOptions) {
+  var originalFetch = globalThis.fetch;
+  if (typeof originalFetch !== 'function') {
+    return function () {};
+  }
+
+  globalThis.fetch = function () {
+    return trackFetch(originalFetch, Array.from(arguments), recorder, logger, moesifOptions);
+  };
+
+  return function () {
+    globalThis.fetch = originalFetch;
+  };
+}
+
+function trackHttp2Stream(authority, headers, stream, recorder, logger) {
+  var requestHeaders = {};
+  Object.keys(headers || {}).forEach(function (key) {
+    requestHeaders[key.toLowerCase()] = headers[key];
+  });
+  var requestOptions = urlToHttpOptions(
+    authority instanceof nodeUrl.URL ? authority : new nodeUrl.URL(authority)
+  );
+  if (requestHeaders[':authority']) {
+    requestOptions.host = requestHeaders[':authority'];
+    delete requestOptions.hostname;
+    delete requestOptions.port;
+  }
+  requestOptions.path = requestHeaders[':path'] || '/';
+  requestOptions.method = requestHeaders[':method'] || 'GET';
+
+  // looks like an http.ClientRequest to isMoesif and getEventModelFromRequestAndResponse.
+  var request = {
+    getHeader: function (name) {
+      return requestHeaders[name.toLowerCase()];
+    },
+    getHeaders: function () {
+      var withoutPseudoHeaders = {};
+      Object.keys(requestHeaders).forEach(function (key) {
+        if (key.indexOf(':') !== 0) {
+          withoutPseudoHeaders[key] = requestHeaders[key];
+        }
+      });
+      return withoutPseudoHeaders;
+    },
+  };
+
+  if (isMoesif(request, requestOptions)) {
+    logger('skip capturing requests to moesif itself');
+    return;
+  }
+  var debugString = requestOptions.method + ' ' + authority + requestOptions.path;
+  logger('initiating capturing of outgoing http2 stream ' + debugString);
+  recorder = withRequestContext(recorder);
+
+  var startTime = new Date();
+  var requestBody = null;
+  var response = null;
+  var responseBody = null;
+
+  var originalWrite = stream.write;
+  stream.write = function (chunk, encoding, callback) {
+    requestBody = appendChunk(requestBody, chunk);
+    return originalWrite.call(stream, chunk, encoding, callback);
+  };
+  var originalEnd = stream.end;
+  stream.end = function (chunk, encoding, callback) {
+    if (chunk && typeof chunk !== 'function') {
+      requestBody = appendChunk(requestBody, chunk);
+    }
+    return originalEnd.call(stream, chunk, encoding, callback);
+  };
+
+  stream.on('response', function (responseHeaders) {
+    var headersWithoutStatus = {};
+    Object.keys(responseHeaders).forEach(function (key) {
+      if (key.indexOf(':') !== 0) {
+        headersWithoutStatus[key] = responseHeaders[key];
+      }
+    });
+    response = { statusCode: responseHeaders[':status'], headers: headersWithoutStatus };
+    stream.on('data', function (chunk) {
+      responseBody = appendChunk(responseBody, chunk);
+    });
+  });
+
+  stream.on('error', function (error) {
+    logger('on error for outgoing http2 stream ' + debugString, error);
+  });
+
+  // emitted once the stream is done, also after errors.
+  stream.on('close', function () {
+    logger('outgoing http2 stream closed ' + debugString);
+    recorder(
+      getEventModelFromRequestAndResponse(
+        requestOptions,
+        request,
+        startTime,
+        requestBody,
+        response,
+        new Date(),
+        responseBody
+      )
+    );
+  });
+}
+
+function patchHttp2(recorder, logger) {
+  var originalConnect = http2.connect;
+
+  http2.connect = function (authority, ...connectArgs) {
+    var session = originalConnect.call(http2, authority, ...connectArgs);
+    var originalSessionRequest = session.request;
+    session.request = function (headers, ...requestArgs) {
+      var stream = originalSessionRequest.call(session, headers, ...requestArgs);
+      try {
+        trackHttp2Stream(authority, headers, stream, recorder, logger);
+      } catch (err) {
+        logger('error capturing outgoing http2 stream', err);
+      }
+      return stream;
+    };
+    return session;
+  };
+
+  return function () {
+    http2.connect = originalConnect;
+  };
+}
+
 function _patch(recorder, logger, moesifOptions) {
   var originalGet = http.get;
   var originalHttpsGet = https.get;
@@ -304,7 +679,15 @@ function _patch(recorder, logger, moesifOptions) {
     return request;
   };
 
+  var unpatchFetch = patchFetch(recorder, logger, moesifOptions);
+  var unpatchHttp2 =
+    moesifOptions && moesifOptions.captureOutgoingHttp2
+      ? patchHttp2(recorder, logger)
+      : function () {};
+
   function _unpatch() {
+    unpatchFetch();
+    unpatchHttp2();
     http.request = originalRequest;
     https.request = originalHttpsRequest;
     http.get = originalGet;
@@ -1,7 +1,9 @@
 var assign = require('lodash/assign');
 var dataUtils = require('./dataUtils');
+var traceContext = require('./traceContext');
+var applyEventMasking = require('./eventMasking').applyEventMasking;
 
-var hashSensitive = dataUtils.hashSensitive;
+var ensureToString = dataUtils.ensureToString;
 
 function createMockIncomingRequestResponse(logData) {
   var getHeader = function(name) {
@@ -33,8 +35,39 @@ function createMockIncomingRequestResponse(logData) {
   };
 }
 
+// identity and metadata of the incoming request that made the outgoing call.
+function getParentInfo(parentContext, moesifOptions, logger) {
+  var parentInfo = {};
+  if (!parentContext) {
+    return parentInfo;
+  }
+  var req = parentContext.req;
+  var res = parentContext.res;
+  try {
+    parentInfo.userId = ensureToString(moesifOptions.identifyUser(req, res));
+  } catch (err) {
+    logger('error identify user of incoming request:' + err);
+  }
+  try {
+    parentInfo.companyId = ensureToString(moesifOptions.identifyCompany(req, res));
+  } catch (err) {
+    logger('error identifying company of incoming request:' + err);
+  }
+  try {
+    parentInfo.sessionToken = moesifOptions.getSessionToken(req, res);
+  } catch (err) {
+    logger('error getSessionToken of incoming request' + err);
+  }
+  try {
+    parentInfo.metadata = moesifOptions.getMetadata(req, res);
+  } catch (err) {
+    logger('error adding metadata of incoming request:' + err);
+  }
+  return parentInfo;
+}
+
 function _createOutgoingRecorder(saveEvent, moesifOptions, logger) {
-  return function(capturedData) {
+  return function(capturedData, parentContext) {
 
     // Already have more comprehensive short circuit upstream.
     // so comment below check.
@@ -55,19 +88,10 @@ function _createOutgoingRecorder(saveEvent, moesifOptions, logger) {
     var logData = assign({}, capturedData);
 
     if (!moesifOptions.skip(mock.request, mock.response)) {
-      if (!moesifOptions.noAutoHideSensitive) {
-        // autoHide
-        try {
-          logData.request.headers = hashSensitive(logData.request.headers, moesifOptions.debug);
-          logData.request.body = hashSensitive(logData.request.body, moesifOptions.debug);
-          logData.response.headers = hashSensitive(logData.response.headers, moesifOptions.debug);
-          logData.response.body = hashSensitive(logData.response.body, moesifOptions.debug);
-        } catch (err) {
-          logger('error on hashSensitive err=' + err);
-        }
-      }
-
-      logData = moesifOptions.maskContent(logData);
+      // the span of the call, if it was propagated, or else the one of the incoming request.
+      var trace =
+        traceContext.parseTraceparent(mock.request.getHeader('traceparent')) ||
+        (parentContext && parentContext.trace);
 
       try {
         logData.userId = moesifOptions.identifyUser(mock.request, mock.response);
@@ -105,6 +129,24 @@ function _createOutgoingRecorder(saveEvent, moesifOptions, logger) {
         logger('error adding metadata:' + err);
       }
 
+      // inherit what the options don't set for the outgoing call from the incoming request.
+      if (parentContext) {
+        var parentInfo = getParentInfo(parentContext, moesifOptions, logger);
+        logData.userId = logData.userId || parentInfo.userId;
+        logData.companyId = logData.companyId || parentInfo.companyId;
+        logData.sessionToken = logData.sessionToken || parentInfo.sessionToken;
+        if (parentInfo.metadata || parentContext.transactionId) {
+          logData.metadata = assign({}, parentInfo.metadata, logData.metadata);
+          if (parentContext.transactionId) {
+            logData.metadata.parent_transaction_id = parentContext.transactionId;
+          }
+        }
+      }
+
+      logData.metadata = traceContext.addTraceToMetadata(logData.metadata, trace);
+
+      logData = applyEventMasking(logData, moesifOptions);
+
       // logBody option
       if (!moesifOptions.logBody) {
         logData.request.body = null;
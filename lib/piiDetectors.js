@@ -0,0 +1,116 @@
+/*
+ * Detectors of personal data and secrets in string values, for the piiDetectors option.
+ *
+ * hashSensitive hashes the values a detector matches, in addition to password fields
+ * and credit card numbers. The detectors that match free text look for the value
+ * anywhere in the string, the others only match the whole value, to keep ids and
+ * numbers that merely look alike.
+ */
+
+// matched against single tokens of at most MAX_EMAIL_LENGTH, since an unanchored pattern
+// takes time by the square of the length on long values without an email.
+var EMAIL_PATTERN = /^[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9.-]{1,253}\.[A-Za-z]{2,63}$/;
+var EMAIL_SEPARATOR = /[\s<>()[\]{}"'`,;:=&?/\\|]+/;
+var MAX_EMAIL_LENGTH = 254;
+var SSN_PATTERN = /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/;
+var IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+var E164_PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+var FORMATTED_PHONE_PATTERN = /^(\+?\d{1,3}[\s.-]?)?(\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]\d{4}$/;
+var JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/;
+var BEARER_PATTERN = /\bBearer\s+[A-Za-z0-9._~+/-]+=*/i;
+var AWS_KEY_PATTERN = /\b(AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/;
+var PRIVATE_KEY_PATTERN = /-----BEGIN ([A-Z]+ )*PRIVATE KEY( BLOCK)?-----/;
+
+// ISO 13616 mod 97 check, so random upper case strings are not taken for an IBAN.
+function isValidIban(value) {
+  var compact = value.replace(/\s/g, '').toUpperCase();
+  if (!IBAN_PATTERN.test(compact)) {
+    return false;
+  }
+  var rearranged = compact.slice(4) + compact.slice(0, 4);
+  var remainder = 0;
+  for (var i = 0; i < rearranged.length; i++) {
+    var code = rearranged.charCodeAt(i);
+    // letters count as two digits, A is 10.
+    var digits = code >= 65 ? String(code - 55) : rearranged[i];
+    for (var j = 0; j < digits.length; j++) {
+      remainder = (remainder * 10 + Number(digits[j])) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+function containsEmail(value) {
+  if (value.indexOf('@') === -1) {
+    return false;
+  }
+  return value.split(EMAIL_SEPARATOR).some(function (token) {
+    if (token.length > MAX_EMAIL_LENGTH || token.indexOf('@') === -1) {
+      return false;
+    }
+    // an email at the end of a sentence.
+    return EMAIL_PATTERN.test(token.replace(/\.+$/, ''));
+  });
+}
+
+var DETECTORS = {
+  email: containsEmail,
+  ssn: function (value) {
+    return SSN_PATTERN.test(value);
+  },
+  iban: isValidIban,
+  phone: function (value) {
+    var trimmed = value.trim();
+    return E164_PHONE_PATTERN.test(trimmed) || FORMATTED_PHONE_PATTERN.test(trimmed);
+  },
+  jwt: function (value) {
+    return JWT_PATTERN.test(value);
+  },
+  bearerToken: function (value) {
+    return BEARER_PATTERN.test(value);
+  },
+  awsKey: function (value) {
+    return AWS_KEY_PATTERN.test(value);
+  },
+  privateKey: function (value) {
+    return PRIVATE_KEY_PATTERN.test(value);
+  },
+};
+
+var DETECTOR_NAMES = Object.keys(DETECTORS);
+
+/**
+ * @param {string[]} names - of the detectors to enable.
+ * @returns {Array<{ name: string, test: (value: string) => boolean }>}
+ */
+function getDetectors(names) {
+  if (!Array.isArray(names)) {
+    throw new Error('piiDetectors must be an array of detector names');
+  }
+  return names.map(function (name) {
+    if (!DETECTORS[name]) {
+      throw new Error('piiDetectors ' + name + ' must be one of ' + DETECTOR_NAMES.join(', '));
+    }
+    return { name: name, test: DETECTORS[name] };
+  });
+}
+
+/**
+ * @param {string} value
+ * @param {Array<{ name: string, test: (value: string) => boolean }>} detectors
+ * @returns {string | null} the name of the first detector that matches.
+ */
+function detect(value, detectors) {
+  for (var i = 0; i < detectors.length; i++) {
+    if (detectors[i].test(value)) {
+      return detectors[i].name;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DETECTOR_NAMES: DETECTOR_NAMES,
+  getDetectors: getDetectors,
+  detect: detect,
+};
@@ -0,0 +1,70 @@
+/*
+ * Masks the values of query parameters in the captured request uri, the
+ * maskQueryParams option, so credentials in urls are not sent to Moesif.
+ *
+ * A string matches the parameter name case insensitively, a RegExp is tested
+ * against the name.
+ */
+
+var mapQueryParams = require('./dataUtils').mapQueryParams;
+var REDACTED = require('./hashing').REDACTED;
+
+var DEFAULT_MASKED_QUERY_PARAMS = [/token/i, /key$/i, /secret/i, /signature/i, /^code$/i];
+
+function matchesName(name, patterns) {
+  var lowerCaseName = name.toLowerCase();
+  return patterns.some(function (pattern) {
+    return pattern instanceof RegExp ? pattern.test(name) : pattern.toLowerCase() === lowerCaseName;
+  });
+}
+
+/**
+ * @param {string} uri
+ * @param {Array<string | RegExp>} patterns - names of the parameters to mask.
+ * @returns {string} the uri with the values of the matching parameters redacted.
+ */
+function maskQueryParams(uri, patterns) {
+  if (!patterns || patterns.length === 0) {
+    return uri;
+  }
+  return mapQueryParams(uri, function (name) {
+    return matchesName(name, patterns) ? REDACTED : null;
+  });
+}
+
+/**
+ * @param {object} logData - event with request and response.
+ * @param {object} options - the middleware options.
+ * @returns {object} logData
+ */
+function maskEventQueryParams(logData, options) {
+  var patterns =
+    options.maskQueryParams === undefined ? DEFAULT_MASKED_QUERY_PARAMS : options.maskQueryParams;
+  if (logData.request) {
+    logData.request.uri = maskQueryParams(logData.request.uri, patterns);
+  }
+  return logData;
+}
+
+/**
+ * @param {object} options - the middleware options.
+ */
+function ensureValidMaskQueryParams(options) {
+  var patterns = options.maskQueryParams;
+  var valid =
+    patterns === undefined ||
+    (Array.isArray(patterns) &&
+      patterns.every(function (pattern) {
+        return typeof pattern === 'string' || pattern instanceof RegExp;
+      }));
+  if (!valid) {
+    throw new Error('maskQueryParams must be an array of parameter names or regular expressions');
+  }
+}
+
+module.exports = {
+  DEFAULT_MASKED_QUERY_PARAMS: DEFAULT_MASKED_QUERY_PARAMS,
+  maskQueryParams: maskQueryParams,
+  maskEventQueryParams: maskEventQueryParams,
+  ensureValidMaskQueryParams: ensureValidMaskQueryParams,
+};
@@ -0,0 +1,314 @@
+/*
+ * Local rate limits for governance, the rateLimitRules option.
+ *
+ * Unlike the governance rules from Moesif, which block cohorts computed by the server,
+ * these count the requests of each user, company, IP or header value as they come in,
+ * so a quota is enforced without waiting for the next config refresh.
+ *
+ * Algorithms:
+ *   fixed-window - at most limit requests per window, counted from the start of the window.
+ *   sliding-window - like fixed-window, but the previous window counts by how much of it
+ *     overlaps the last windowMs, so there are no bursts of twice the limit at a window edge.
+ *   token-bucket - a bucket of limit tokens, refilled at limit tokens per windowMs, and
+ *     each request takes one.
+ *
+ * The counters are kept in a store, in memory by default. Governance decides before the
+ * request is passed on, so a store is synchronous: get(key) returns the state saved by
+ * set(key, state, ttlMs), or undefined once it expired.
+ *
+ * The ip key is the address of the socket, since X-Forwarded-For and the like are set by
+ * the client unless a proxy in front of the app overwrites them, see rateLimitTrustProxy.
+ */
+
+var ALGORITHMS = ['fixed-window', 'sliding-window', 'token-bucket'];
+var KEYS = ['userId', 'companyId', 'ip', 'header'];
+
+// expired counters are removed at most this often.
+var SWEEP_INTERVAL = 60000;
+
+/**
+ * @returns {{ get: (key: string) => object | undefined, set: (key: string, state: object, ttlMs: number) => void }}
+ */
+function createMemoryStore() {
+  var entries = new Map();
+  var nextSweep = 0;
+
+  function sweep(now) {
+    entries.forEach(function (entry, key) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+    nextSweep = now + SWEEP_INTERVAL;
+  }
+
+  return {
+    get: function (key) {
+      var entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.state;
+    },
+    set: function (key, state, ttlMs) {
+      var now = Date.now();
+      if (now >= nextSweep) {
+        sweep(now);
+      }
+      entries.set(key, { state: state, expiresAt: now + ttlMs });
+    },
+  };
+}
+
+/**
+ * @param {Array<object>} rules - the rateLimitRules option.
+ * @returns {Array<object>} the rules with their defaults, throws for invalid rules.
+ */
+function compileRateLimitRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('rateLimitRules must be an array of rules');
+  }
+  var ids = {};
+  return rules.map(function (rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error('rateLimitRules rule must have an id');
+    }
+    if (ids[rule.id]) {
+      throw new Error('rateLimitRules id ' + rule.id + ' must be unique');
+    }
+    ids[rule.id] = true;
+    if (KEYS.indexOf(rule.key) === -1) {
+      throw new Error('rateLimitRules key of ' + rule.id + ' must be one of ' + KEYS.join(', '));
+    }
+    if (rule.key === 'header' && (typeof rule.header !== 'string' || !rule.header)) {
+      throw new Error('rateLimitRules rule ' + rule.id + ' must have the header to count by');
+    }
+    var algorithm = rule.algorithm || 'fixed-window';
+    if (ALGORITHMS.indexOf(algorithm) === -1) {
+      throw new Error(
+        'rateLimitRules algorithm of ' + rule.id + ' must be one of ' + ALGORITHMS.join(', ')
+      );
+    }
+    if (typeof rule.limit !== 'number' || rule.limit < 1) {
+      throw new Error('rateLimitRules limit of ' + rule.id + ' must be a number of at least 1');
+    }
+    if (typeof rule.windowMs !== 'number' || rule.windowMs <= 0) {
+      throw new Error('rateLimitRules windowMs of ' + rule.id + ' must be a number greater than 0');
+    }
+    if (rule.regexConfig !== undefined && !Array.isArray(rule.regexConfig)) {
+      throw new Error('rateLimitRules regexConfig of ' + rule.id + ' must be an array');
+    }
+    return {
+      id: rule.id,
+      key: rule.key,
+      header: rule.header && rule.header.toLowerCase(),
+      algorithm: algorithm,
+      limit: rule.limit,
+      windowMs: rule.windowMs,
+      regexConfig: rule.regexConfig,
+    };
+  });
+}
+
+/**
+ * @param {boolean | string[]} [trustProxy] - the rateLimitTrustProxy option.
+ */
+function ensureValidTrustProxy(trustProxy) {
+  var valid =
+    trustProxy === undefined ||
+    typeof trustProxy === 'boolean' ||
+    (Array.isArray(trustProxy) &&
+      trustProxy.every(function (address) {
+        return typeof address === 'string';
+      }));
+  if (!valid) {
+    throw new Error('rateLimitTrustProxy must be a boolean or an array of proxy addresses');
+  }
+}
+
+// IPv4 clients of a dual stack server have addresses like ::ffff:10.0.0.1.
+function normalizeAddress(address) {
+  var trimmed = address.trim();
+  return trimmed.indexOf('::ffff:') === 0 ? trimmed.slice(7) : trimmed;
+}
+
+/**
+ * The client address to count the ip key by.
+ * @param {string} [remoteAddress] - of the socket.
+ * @param {string | string[]} [forwardedFor] - the X-Forwarded-For header.
+ * @param {boolean | string[]} [trustProxy] - false to use the socket address, true to trust
+ *   X-Forwarded-For as is, or the addresses of the proxies allowed to append to it.
+ * @returns {string | undefined}
+ */
+function getClientAddress(remoteAddress, forwardedFor, trustProxy) {
+  var remote = remoteAddress ? normalizeAddress(remoteAddress) : undefined;
+  if (!trustProxy || !forwardedFor) {
+    return remote;
+  }
+  var forwarded = String(forwardedFor).split(',').map(normalizeAddress).filter(Boolean);
+  if (trustProxy === true) {
+    return forwarded[0] || remote;
+  }
+  var trusted = trustProxy.map(normalizeAddress);
+  // from the socket back to the client, each trusted proxy appended the address it got the request from.
+  var chain = remote ? forwarded.concat(remote) : forwarded;
+  for (var i = chain.length - 1; i > 0; i--) {
+    if (trusted.indexOf(chain[i]) === -1) {
+      return chain[i];
+    }
+  }
+  return remote && trusted.indexOf(remote) === -1 ? remote : chain[0];
+}
+
+/**
+ * @param {object} [store] - the rateLimitStore option.
+ */
+function ensureValidRateLimitStore(store) {
+  if (
+    store !== undefined &&
+    (!store || typeof store.get !== 'function' || typeof store.set !== 'function')
+  ) {
+    throw new Error('rateLimitStore must have get(key) and set(key, state, ttlMs) functions');
+  }
+}
+
+function hitFixedWindow(rule, state, now) {
+  var windowStart = Math.floor(now / rule.windowMs) * rule.windowMs;
+  var count = state && state.windowStart === windowStart ? state.count : 0;
+  var resetAt = windowStart + rule.windowMs;
+  if (count >= rule.limit) {
+    return { allowed: false, remaining: 0, resetAt: resetAt, retryAfterMs: resetAt - now };
+  }
+  return {
+    allowed: true,
+    remaining: rule.limit - count - 1,
+    resetAt: resetAt,
+    state: { windowStart: windowStart, count: count + 1 },
+    ttlMs: resetAt - now,
+  };
+}
+
+function hitSlidingWindow(rule, state, now) {
+  var windowMs = rule.windowMs;
+  var windowStart = Math.floor(now / windowMs) * windowMs;
+  var count = 0;
+  var previousCount = 0;
+  if (state && state.windowStart === windowStart) {
+    count = state.count;
+    previousCount = state.previousCount;
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previousCount = state.count;
+  }
+  var resetAt = windowStart + windowMs;
+  var previousWeight = 1 - (now - windowStart) / windowMs;
+  var estimated = previousCount * previousWeight + count;
+  if (estimated + 1 > rule.limit) {
+    // when enough of the previous window, or of this one once it is the previous, slid out.
+    var allowedAt =
+      count + 1 <= rule.limit
+        ? windowStart + windowMs * (1 - (rule.limit - 1 - count) / previousCount)
+        : resetAt + windowMs * (1 - (rule.limit - 1) / count);
+    return {
+      allowed: false,
+      remaining: 0,
+      resetAt: resetAt,
+      retryAfterMs: Math.max(allowedAt - now, 0),
+    };
+  }
+  return {
+    allowed: true,
+    remaining: Math.max(Math.floor(rule.limit - estimated - 1), 0),
+    resetAt: resetAt,
+    state: { windowStart: windowStart, count: count + 1, previousCount: previousCount },
+    // the count is still used as the previous window during the next one.
+    ttlMs: resetAt + windowMs - now,
+  };
+}
+
+function hitTokenBucket(rule, state, now) {
+  var tokensPerMs = rule.limit / rule.windowMs;
+  var tokens = rule.limit;
+  if (state) {
+    tokens = Math.min(rule.limit, state.tokens + (now - state.updatedAt) * tokensPerMs);
+  }
+  if (tokens < 1) {
+    var retryAfterMs = (1 - tokens) / tokensPerMs;
+    return {
+      allowed: false,
+      remaining: 0,
+      resetAt: now + (rule.limit - tokens) / tokensPerMs,
+      retryAfterMs: retryAfterMs,
+    };
+  }
+  var left = tokens - 1;
+  // the bucket is full again at resetAt, after which the state is not needed.
+  var untilFullMs = (rule.limit - left) / tokensPerMs;
+  return {
+    allowed: true,
+    remaining: Math.floor(left),
+    resetAt: now + untilFullMs,
+    state: { tokens: left, updatedAt: now },
+    ttlMs: untilFullMs,
+  };
+}
+
+var HIT = {
+  'fixed-window': hitFixedWindow,
+  'sliding-window': hitSlidingWindow,
+  'token-bucket': hitTokenBucket,
+};
+
+/**
+ * Counts a request against a rule, requests that are not allowed are not counted.
+ * @param {object} rule - compiled by compileRateLimitRules.
+ * @param {string} keyValue - the user id, company id, IP or header value counted by the rule.
+ * @param {object} store
+ * @param {number} [now]
+ * @returns {{ allowed: boolean, limit: number, remaining: number, resetAt: number, retryAfterMs?: number }}
+ */
+function hitRateLimit(rule, keyValue, store, now) {
+  var time = now || Date.now();
+  var storeKey = 'moesif-rate-limit:' + rule.id + ':' + keyValue;
+  var result = HIT[rule.algorithm](rule, store.get(storeKey), time);
+  if (result.allowed) {
+    store.set(storeKey, result.state, Math.ceil(result.ttlMs));
+  }
+  return {
+    allowed: result.allowed,
+    limit: rule.limit,
+    remaining: result.remaining,
+    resetAt: result.resetAt,
+    retryAfterMs: result.retryAfterMs,
+  };
+}
+
+/**
+ * @param {{ limit: number, remaining: number, resetAt: number, retryAfterMs?: number }} result - of hitRateLimit.
+ * @returns {object} X-RateLimit-* headers, and Retry-After in seconds if the request is not allowed.
+ */
+function getRateLimitHeaders(result) {
+  var headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    // in seconds since the epoch.
+    'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000)),
+  };
+  if (!result.allowed) {
+    headers['Retry-After'] = String(Math.max(Math.ceil(result.retryAfterMs / 1000), 1));
+  }
+  return headers;
+}
+
+module.exports = {
+  createMemoryStore: createMemoryStore,
+  compileRateLimitRules: compileRateLimitRules,
+  ensureValidRateLimitStore: ensureValidRateLimitStore,
+  ensureValidTrustProxy: ensureValidTrustProxy,
+  getClientAddress: getClientAddress,
+  hitRateLimit: hitRateLimit,
+  getRateLimitHeaders: getRateLimitHeaders,
+};
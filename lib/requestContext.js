@@ -0,0 +1,79 @@
+/*
+ * Keeps track of the incoming request being handled, so outgoing API calls
+ * made while handling it can be attributed to it.
+ *
+ * The context holds the incoming req and res, its transaction id and trace. The user,
+ * company and metadata are resolved from req and res only when an outgoing
+ * call is recorded, since auth middleware usually runs after moesif.
+ */
+
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+
+var storage = new AsyncLocalStorage();
+// set while the middleware sends events itself, e.g. through a transport.
+var ownSendStorage = new AsyncLocalStorage();
+
+/**
+ * Runs fn with the context of an incoming request.
+ * @param {{ req: object, res?: object, transactionId?: string, trace?: object }} context
+ * @param {function} fn
+ * @returns the return value of fn
+ */
+function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Sets the context of an incoming request for the rest of the current execution,
+ * for frameworks like hapi that don't hand over a callback to run the request in.
+ * Call it inside runInRequestScope, or the context outlives the request.
+ * @param {{ req: object, res?: object, transactionId?: string, trace?: object }} context
+ */
+function enterRequestContext(context) {
+  storage.enterWith(context);
+}
+
+/**
+ * Runs fn in a scope of its own, a context entered while it runs is left once it returns.
+ * Otherwise the context stays on the connection, and the next request of a keep-alive
+ * connection starts out with it.
+ * @param {function} fn
+ * @returns the return value of fn
+ */
+function runInRequestScope(fn) {
+  // not undefined, run does not restore the store if it is the current one.
+  return storage.run(null, fn);
+}
+
+/**
+ * Runs fn as a send of the middleware itself. Outgoing calls made by it, like those of a
+ * transport using fetch, are not captured, or the events they send would be sent again.
+ * @param {function} fn
+ * @returns the return value of fn
+ */
+function runAsOwnSend(fn) {
+  return ownSendStorage.run(true, fn);
+}
+
+/**
+ * @returns {boolean} whether the middleware is sending events itself.
+ */
+function isOwnSend() {
+  return ownSendStorage.getStore() === true;
+}
+
+/**
+ * @returns {{ req: object, res?: object, transactionId?: string, trace?: object } | undefined} context of the incoming request being handled.
+ */
+function getRequestContext() {
+  return storage.getStore() || undefined;
+}
+
+module.exports = {
+  runWithRequestContext: runWithRequestContext,
+  enterRequestContext: enterRequestContext,
+  runInRequestScope: runInRequestScope,
+  runAsOwnSend: runAsOwnSend,
+  isOwnSend: isOwnSend,
+  getRequestContext: getRequestContext,
+};
@@ -0,0 +1,83 @@
+/*
+ * The route template of an incoming request, e.g. /users/:id/orders/:orderId,
+ * so calls to the same endpoint can be grouped regardless of their ids.
+ */
+
+var nodeUrl = require('url');
+
+var ID_PLACEHOLDER = ':id';
+var NUMERIC_PATTERN = /^\d+$/;
+var UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// at least one digit, so words like "decade" are kept.
+var HEX_PATTERN = /^(?=.*\d)[0-9a-f]{8,}$/i;
+
+function isId(segment) {
+  return NUMERIC_PATTERN.test(segment) || UUID_PATTERN.test(segment) || HEX_PATTERN.test(segment);
+}
+
+/**
+ * Replaces path segments that look like ids, numbers, UUIDs and hex strings, with :id.
+ * @param {string} url - path or full url, the query string is left out.
+ * @returns {string} e.g. /users/:id/orders/:id
+ */
+function normalizeIds(url) {
+  var pathname;
+  try {
+    pathname = new nodeUrl.URL(url, 'http://localhost').pathname;
+  } catch {
+    return undefined;
+  }
+  return pathname
+    .split('/')
+    .map(function (segment) {
+      return isId(segment) ? ID_PLACEHOLDER : segment;
+    })
+    .join('/');
+}
+
+// the route express matched, including the path its router is mounted on.
+function getExpressRoute(req) {
+  if (!req.route || typeof req.route.path !== 'string') {
+    return undefined;
+  }
+  var template = (req.baseUrl || '') + req.route.path;
+  if (template.length > 1 && template.endsWith('/')) {
+    template = template.slice(0, -1);
+  }
+  return template;
+}
+
+/**
+ * @param {object} req - the incoming request. The Koa, Fastify and Hapi integrations set the route
+ * they matched on req._moRouteTemplate, for Express it is read from req.route.
+ * @param {object} options - the normalized middleware options.
+ * @returns {string | undefined} the matched route, or with normalizeRouteIds the path with its ids replaced.
+ */
+function getRouteTemplate(req, options) {
+  var template = req._moRouteTemplate || getExpressRoute(req);
+  if (template) {
+    return template;
+  }
+  if (options.normalizeRouteIds) {
+    return normalizeIds(req.originalUrl || req.url);
+  }
+  return undefined;
+}
+
+/**
+ * @param {object} [metadata] - event metadata from the getMetadata option.
+ * @param {string} [routeTemplate]
+ * @returns {object} the metadata with route_template, unless getMetadata already has it.
+ */
+function addRouteTemplateToMetadata(metadata, routeTemplate) {
+  if (!routeTemplate) {
+    return metadata;
+  }
+  return Object.assign({ route_template: routeTemplate }, metadata);
+}
+
+module.exports = {
+  normalizeIds: normalizeIds,
+  getRouteTemplate: getRouteTemplate,
+  addRouteTemplateToMetadata: addRouteTemplateToMetadata,
+};
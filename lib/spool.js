@@ -0,0 +1,282 @@
+/*
+ * The spool keeps events that could not be sent to Moesif on disk, so they
+ * survive collector outages and process restarts.
+ *
+ * Events are appended as JSON lines to segment files in the spool directory.
+ * Replaying claims a segment by renaming it with the pid of the process, hands
+ * its events back to the caller and deletes it. Segments claimed by a process
+ * that is gone, e.g. one that crashed while replaying, are taken back first.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var fsPromises = fs.promises;
+
+const FILE_PREFIX = 'moesif-events-';
+const FILE_SUFFIX = '.jsonl';
+const REPLAY_SUFFIX = '.replaying';
+const SEGMENT_MAX_BYTES = 5 * 1024 * 1024;
+
+function isSpoolFile(fileName) {
+  return fileName.indexOf(FILE_PREFIX) === 0 && fileName.endsWith(FILE_SUFFIX);
+}
+
+// e.g. moesif-events-1000-1-1.jsonl.4242.replaying, older versions claimed without the pid.
+var CLAIMED_FILE_PATTERN = /^(moesif-events-.+\.jsonl)(?:\.(\d+))?\.replaying$/;
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // the process exists, but belongs to another user.
+    return err.code === 'EPERM';
+  }
+}
+
+// replays run one after another, so claims of this process are left over too.
+function isStaleClaim(pid) {
+  return !pid || pid === process.pid || !isProcessAlive(pid);
+}
+
+function parseLines(content, logger) {
+  var events = [];
+  content.split('\n').forEach(function (line) {
+    if (line) {
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        // a partially written line, e.g. the process died while appending.
+        logger('skipping unreadable spool line ' + err);
+      }
+    }
+  });
+  return events;
+}
+
+/**
+ * @param {object} spoolOptions
+ * @param {string} spoolOptions.dir - directory holding the spool files, created if missing.
+ * @param {number} [spoolOptions.maxBytes] - total size of the spool files, oldest are deleted first, default 50MB.
+ * @param {number} [spoolOptions.maxAge] - spool files older than this many milliseconds are deleted, default 24 hours.
+ * @param {function} [logger]
+ */
+function createSpool(spoolOptions, logger) {
+  var dir = spoolOptions.dir;
+  var maxBytes = spoolOptions.maxBytes || 50 * 1024 * 1024;
+  var maxAge = spoolOptions.maxAge || 24 * 60 * 60 * 1000;
+  var log = logger || function () {};
+
+  var segmentSeq = 0;
+  var currentSegment = null;
+  var currentSegmentBytes = 0;
+  // all file operations run one after another.
+  var operations = Promise.resolve();
+
+  function enqueue(operation) {
+    var result = operations.then(operation);
+    operations = result.catch(function (err) {
+      log('spool operation failed ' + err);
+    });
+    return result;
+  }
+
+  function newSegmentPath() {
+    segmentSeq += 1;
+    return path.join(
+      dir,
+      FILE_PREFIX + Date.now() + '-' + process.pid + '-' + segmentSeq + FILE_SUFFIX
+    );
+  }
+
+  function rotate() {
+    currentSegment = null;
+    currentSegmentBytes = 0;
+  }
+
+  // sorted oldest first, the file names start with the creation time.
+  function listSpoolFiles() {
+    return fsPromises.readdir(dir).then(function (fileNames) {
+      return fileNames.filter(isSpoolFile).sort();
+    });
+  }
+
+  // puts segments claimed by processes that are gone back, so they are replayed and count to maxBytes.
+  function recoverClaims() {
+    return fsPromises.readdir(dir).then(function (fileNames) {
+      return Promise.all(
+        fileNames.map(function (fileName) {
+          var match = CLAIMED_FILE_PATTERN.exec(fileName);
+          if (!match || !isStaleClaim(match[2] && Number(match[2]))) {
+            return null;
+          }
+          log('recovering spool file ' + fileName);
+          return fsPromises
+            .rename(path.join(dir, fileName), path.join(dir, match[1]))
+            .catch(function (err) {
+              log('could not recover spool file ' + fileName + ' ' + err);
+            });
+        })
+      );
+    });
+  }
+
+  function enforceLimits() {
+    return listSpoolFiles().then(function (fileNames) {
+      return Promise.all(
+        fileNames.map(function (fileName) {
+          var filePath = path.join(dir, fileName);
+          return fsPromises
+            .stat(filePath)
+            .then(function (stats) {
+              return { filePath: filePath, size: stats.size, mtime: stats.mtimeMs };
+            })
+            .catch(function () {
+              // claimed by a replay in the meantime.
+              return null;
+            });
+        })
+      ).then(function (statResults) {
+        var files = statResults.filter(Boolean);
+        var now = Date.now();
+        var totalBytes = files.reduce(function (sum, file) {
+          return sum + file.size;
+        }, 0);
+        var toDelete = [];
+        files.forEach(function (file) {
+          if (now - file.mtime > maxAge || totalBytes > maxBytes) {
+            toDelete.push(file.filePath);
+            totalBytes -= file.size;
+          }
+        });
+        return Promise.all(
+          toDelete.map(function (filePath) {
+            log('deleting spool file over limits ' + filePath);
+            if (filePath === currentSegment) {
+              rotate();
+            }
+            return fsPromises.unlink(filePath);
+          })
+        );
+      });
+    });
+  }
+
+  return {
+    /**
+     * Resolves once all pending file operations completed.
+     * @returns {Promise<void>}
+     */
+    drain: function () {
+      return operations.then(function () {});
+    },
+    /**
+     * Appends events to the current segment file.
+     * @param {object[]} events
+     * @returns {Promise<void>}
+     */
+    append: function (events) {
+      return enqueue(function () {
+        var lines = events
+          .map(function (event) {
+            return JSON.stringify(event);
+          })
+          .join('\n');
+        var data = lines + '\n';
+        return fsPromises
+          .mkdir(dir, { recursive: true })
+          .then(function () {
+            if (!currentSegment || currentSegmentBytes >= SEGMENT_MAX_BYTES) {
+              currentSegment = newSegmentPath();
+              currentSegmentBytes = 0;
+            }
+            currentSegmentBytes += Buffer.byteLength(data);
+            return fsPromises.appendFile(currentSegment, data);
+          })
+          .then(function () {
+            log('spooled ' + events.length + ' events to ' + currentSegment);
+            return enforceLimits();
+          });
+      });
+    },
+    /**
+     * Hands the spooled events to handleEvents, one segment file at a time, oldest first.
+     * handleEvents may return false to stop replaying, the remaining files are kept, or
+     * the number of events it took, the rest of the file is kept and replaying stops.
+     * @param {(events: object[]) => boolean | number | void} handleEvents
+     * @returns {Promise<number>} number of replayed events
+     */
+    replay: function (handleEvents) {
+      return enqueue(function () {
+        var replayedCount = 0;
+        // the current segment is replayed too, later appends go to a new one.
+        rotate();
+        return recoverClaims()
+          .then(listSpoolFiles)
+          .catch(function (err) {
+            if (err.code === 'ENOENT') {
+              return [];
+            }
+            throw err;
+          })
+          .then(function (fileNames) {
+            return fileNames.reduce(function (previous, fileName) {
+              return previous.then(function (stopped) {
+                if (stopped) {
+                  return true;
+                }
+                var filePath = path.join(dir, fileName);
+                var claimedPath = filePath + '.' + process.pid + REPLAY_SUFFIX;
+                // rename so another process sharing the directory does not replay it too.
+                return fsPromises
+                  .rename(filePath, claimedPath)
+                  .then(function () {
+                    return fsPromises.readFile(claimedPath, 'utf8');
+                  })
+                  .then(function (content) {
+                    var events = parseLines(content, log);
+                    var handled = handleEvents(events);
+                    if (handled === false) {
+                      handled = 0;
+                    }
+                    if (typeof handled === 'number' && handled < events.length) {
+                      replayedCount += handled;
+                      var rest = events.slice(handled).map(function (event) {
+                        return JSON.stringify(event) + '\n';
+                      });
+                      // put the rest back for the next replay.
+                      return fsPromises
+                        .writeFile(claimedPath, rest.join(''))
+                        .then(function () {
+                          return fsPromises.rename(claimedPath, filePath);
+                        })
+                        .then(function () {
+                          return true;
+                        });
+                    }
+                    replayedCount += events.length;
+                    return fsPromises.unlink(claimedPath).then(function () {
+                      return false;
+                    });
+                  })
+                  .catch(function (err) {
+                    // most likely claimed by another process already.
+                    log('could not replay spool file ' + filePath + ' ' + err);
+                    return false;
+                  });
+              });
+            }, Promise.resolve(false));
+          })
+          .then(function () {
+            if (replayedCount > 0) {
+              log('replayed ' + replayedCount + ' spooled events');
+            }
+            return replayedCount;
+          });
+      });
+    },
+  };
+}
+
+module.exports = createSpool;
@@ -0,0 +1,182 @@
+/*
+ * W3C trace context (https://www.w3.org/TR/trace-context/) of the captured API calls.
+ *
+ * The trace of an incoming request comes from the active OpenTelemetry span, if
+ * @opentelemetry/api is installed, or else from its traceparent and tracestate headers.
+ * Its trace_id and span_id are added to the event metadata, so events can be looked up
+ * in the tracing backend.
+ */
+
+var crypto = require('crypto');
+
+var TRACE_ID_PATTERN = /^[0-9a-f]{32}$/;
+var TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+var TRACER_NAME = 'moesif-nodejs';
+
+// undefined until loaded, null if it is not installed.
+var otelApi;
+
+function getOtelApi() {
+  if (otelApi === undefined) {
+    try {
+      otelApi = require('@opentelemetry/api');
+    } catch {
+      otelApi = null;
+    }
+  }
+  return otelApi;
+}
+
+function isZero(hex) {
+  return /^0+$/.test(hex);
+}
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * @param {string} [value] - value of a traceparent header.
+ * @returns {{ traceId: string, spanId: string, traceFlags: string } | null} null if it is not valid.
+ */
+function parseTraceparent(value) {
+  var match = typeof value === 'string' && TRACEPARENT_PATTERN.exec(value.trim().toLowerCase());
+  if (!match || match[1] === 'ff' || (match[1] === '00' && match[5])) {
+    return null;
+  }
+  if (isZero(match[2]) || isZero(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], spanId: match[3], traceFlags: match[4] };
+}
+
+function fromSpanContext(api, spanContext) {
+  if (!spanContext || !api.trace.isSpanContextValid(spanContext)) {
+    return null;
+  }
+  return {
+    traceId: spanContext.traceId,
+    spanId: spanContext.spanId,
+    traceFlags: ('0' + (spanContext.traceFlags & 0xff).toString(16)).slice(-2),
+    traceState: spanContext.traceState ? spanContext.traceState.serialize() : undefined,
+  };
+}
+
+/**
+ * @returns the trace of the active OpenTelemetry span, if any.
+ */
+function getActiveTrace() {
+  var api = getOtelApi();
+  if (!api) {
+    return null;
+  }
+  var span = api.trace.getSpan(api.context.active());
+  return span ? fromSpanContext(api, span.spanContext()) : null;
+}
+
+/**
+ * @param {(name: string) => string | undefined} getHeader - reads a header of the call.
+ * @returns {{ traceId: string, spanId: string, traceFlags: string, traceState?: string } | null}
+ */
+function getTrace(getHeader) {
+  var trace = getActiveTrace();
+  if (trace) {
+    return trace;
+  }
+  trace = parseTraceparent(getHeader('traceparent'));
+  if (trace) {
+    trace.traceState = getHeader('tracestate') || undefined;
+  }
+  return trace;
+}
+
+/**
+ * Finds the trace of an incoming request. With startSpan, a server span is started for
+ * requests that are not part of a trace yet, or new ids are generated if no OpenTelemetry
+ * tracer is registered.
+ * @param {(name: string) => string | undefined} getHeader
+ * @param {string} spanName
+ * @param {boolean} [startSpan]
+ * @returns {{ trace: object | null, run: (fn: function) => any, end: (statusCode?: number) => void }}
+ */
+function startIncomingTrace(getHeader, spanName, startSpan) {
+  var trace = getTrace(getHeader);
+  var span = null;
+  var otelContext = null;
+  var api = getOtelApi();
+
+  if (!trace && startSpan) {
+    if (api) {
+      span = api.trace.getTracer(TRACER_NAME).startSpan(spanName, { kind: api.SpanKind.SERVER });
+      trace = fromSpanContext(api, span.spanContext());
+      otelContext = api.trace.setSpan(api.context.active(), span);
+    }
+    if (!trace) {
+      trace = { traceId: randomHex(16), spanId: randomHex(8), traceFlags: '01' };
+    }
+  }
+
+  return {
+    trace: trace,
+    // runs fn with the started span as the active span.
+    run: function (fn) {
+      return otelContext ? api.context.with(otelContext, fn) : fn();
+    },
+    end: function (statusCode) {
+      if (!span) {
+        return;
+      }
+      if (statusCode >= 500) {
+        span.setStatus({ code: api.SpanStatusCode.ERROR });
+      }
+      if (statusCode) {
+        span.setAttribute('http.response.status_code', statusCode);
+      }
+      span.end();
+      span = null;
+    },
+  };
+}
+
+/**
+ * @param {object} [metadata] - event metadata from the getMetadata option.
+ * @param {object} [trace]
+ * @returns {object} the metadata with trace_id and span_id, unless getMetadata already has them.
+ */
+function addTraceToMetadata(metadata, trace) {
+  if (!trace) {
+    return metadata;
+  }
+  return Object.assign({ trace_id: trace.traceId, span_id: trace.spanId }, metadata);
+}
+
+// the transaction id is usually a uuid, which is used as is. Other ids are hashed, so all
+// outgoing calls of an incoming request share the same trace id.
+function transactionIdToTraceId(transactionId) {
+  var hex = String(transactionId).toLowerCase().replace(/-/g, '');
+  if (TRACE_ID_PATTERN.test(hex) && !isZero(hex)) {
+    return hex;
+  }
+  return crypto.createHash('sha256').update(String(transactionId)).digest('hex').slice(0, 32);
+}
+
+/**
+ * @param {{ trace?: object, transactionId?: string }} context - of the incoming request.
+ * @returns {string} a traceparent header value with a new span id for an outgoing call,
+ * continuing the trace of the incoming request or else the one of its transaction id.
+ */
+function createTraceparent(context) {
+  var trace = context.trace;
+  var traceId = trace ? trace.traceId : transactionIdToTraceId(context.transactionId);
+  var traceFlags = trace ? trace.traceFlags : '01';
+  return '00-' + traceId + '-' + randomHex(8) + '-' + traceFlags;
+}
+
+module.exports = {
+  parseTraceparent: parseTraceparent,
+  getActiveTrace: getActiveTrace,
+  getTrace: getTrace,
+  startIncomingTrace: startIncomingTrace,
+  addTraceToMetadata: addTraceToMetadata,
+  createTraceparent: createTraceparent,
+};
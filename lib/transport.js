@@ -0,0 +1,64 @@
+/*
+ * Adapts a user provided transport to the callback interface of the
+ * moesifapi ApiController, so events can be sent somewhere else than Moesif
+ * while sampling, batching and retries stay the same.
+ *
+ * A transport is an object with sendBatch(events) returning a promise.
+ * events is an array of EventModel. To control retries, the rejection error
+ * can set retryable (boolean) and retryAfter (milliseconds).
+ *
+ * The callback is called outside of the promise chain, so an error it throws is
+ * not turned into an unhandled rejection.
+ *
+ * Outgoing calls made by sendBatch are not captured, see runAsOwnSend.
+ */
+
+var runAsOwnSend = require('./requestContext').runAsOwnSend;
+
+function toError(reason) {
+  if (reason && typeof reason === 'object') {
+    return reason;
+  }
+  return new Error('transport failed to send events' + (reason ? ': ' + reason : ''));
+}
+
+/**
+ * @param {{ sendBatch: (events: object[]) => Promise<any> }} transport
+ */
+function createTransportController(transport) {
+  var send = function (events, callback) {
+    Promise.resolve()
+      .then(function () {
+        return runAsOwnSend(function () {
+          return transport.sendBatch(events);
+        });
+      })
+      .then(
+        function (result) {
+          setImmediate(callback, null, result);
+        },
+        function (reason) {
+          setImmediate(callback, toError(reason));
+        }
+      );
+  };
+
+  return {
+    /**
+     * @param {object} event - EventModel
+     * @param {(err: object, response?: any) => void} callback
+     */
+    createEvent: function (event, callback) {
+      send([event], callback);
+    },
+    /**
+     * @param {object[]} events - EventModel instances
+     * @param {(err: object, response?: any) => void} callback
+     */
+    createEventsBatch: function (events, callback) {
+      send(events, callback);
+    },
+  };
+}
+
+module.exports = createTransportController;
@@ -0,0 +1,218 @@
+const assert = require('assert');
+const http = require('http');
+const moesifapi = require('moesifapi');
+const createApiClient = require('../lib/apiClient');
+const { annotateBatchError } = require('../lib/dataUtils');
+const { MoesifConfigManager } = require('../lib/moesifConfigManager');
+const { GovernanceRulesManager } = require('../lib/governanceRulesManager');
+
+// Several middleware instances in one process must not share the moesifapi configuration.
+
+describe('apiClient', function () {
+  let server;
+  let received;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      received.push({ url: req.url, appId: req.headers['x-moesif-application-id'] });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(req.url === '/v1/config' ? '{"sample_rate":50}' : '[]');
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    received = [];
+  });
+
+  function createClient(applicationId) {
+    return createApiClient({
+      ApplicationId: applicationId,
+      BaseUri: 'http://127.0.0.1:' + server.address().port,
+      UserAgent: 'moesif-nodejs/test',
+      retry: 0,
+    });
+  }
+
+  it('sends requests with the configuration of its own instance', function (done) {
+    const first = createClient('first-app-id');
+    const second = createClient('second-app-id');
+    const originalAppId = moesifapi.configuration.ApplicationId;
+
+    let pending = 2;
+    const finish = function () {
+      pending -= 1;
+      if (pending === 0) {
+        assert.deepStrictEqual(received.map((request) => request.appId).sort(), [
+          'first-app-id',
+          'second-app-id',
+        ]);
+        done();
+      }
+    };
+    first.getAppConfig(finish);
+    second.getRules(finish);
+
+    assert.strictEqual(
+      moesifapi.configuration.ApplicationId,
+      originalAppId,
+      'global configuration should be restored'
+    );
+  });
+
+  it('lets config and rules managers fetch through their own client', function () {
+    const calls = [];
+    const fakeClient = {
+      getAppConfig: function (callback) {
+        calls.push('getAppConfig');
+        callback(null, null, {
+          response: { statusCode: 200, headers: {}, body: { sample_rate: 50 } },
+        });
+      },
+      getRules: function (callback) {
+        calls.push('getRules');
+        callback(null, { statusCode: 200, body: [] }, { response: { headers: {} } });
+      },
+    };
+    const configManager = new MoesifConfigManager(fakeClient);
+    const rulesManager = new GovernanceRulesManager(fakeClient);
+
+    configManager.tryGetConfig();
+    return rulesManager.tryGetRules().then(function () {
+      assert.deepStrictEqual(calls, ['getAppConfig', 'getRules']);
+      assert.strictEqual(configManager._getSampleRate(), 50);
+    });
+  });
+});
+
+describe('annotateBatchError', function () {
+  let server;
+  let reply;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      req.resume();
+      req.on('end', function () {
+        res.writeHead(reply.status, reply.headers);
+        res.end('{}');
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  // the error and context as moesifapi calls back with them.
+  function sendBatch(status, headers) {
+    reply = {
+      status: status,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    };
+    const client = createApiClient({
+      ApplicationId: 'app-id',
+      BaseUri: 'http://127.0.0.1:' + server.address().port,
+      UserAgent: 'moesif-nodejs/test',
+      retry: 0,
+    });
+    return new Promise(function (resolve) {
+      client.createEventsBatch([{ request: {}, response: {} }], function (err, response, context) {
+        resolve(annotateBatchError(err, context));
+      });
+    });
+  }
+
+  it('does not retry batches the collector rejects', function () {
+    return sendBatch(400).then(function (err) {
+      assert.strictEqual(typeof err.errorCode, 'string', 'moesifapi gives the axios error code');
+      assert.strictEqual(err.retryable, false);
+    });
+  });
+
+  it('retries throttled batches after Retry-After', function () {
+    return sendBatch(429, { 'Retry-After': '2' }).then(function (err) {
+      assert.strictEqual(err.retryable, true);
+      assert.strictEqual(err.retryAfter, 2000);
+    });
+  });
+
+  it('retries network errors', function () {
+    const err = annotateBatchError(
+      { errorMessage: 'connect ECONNREFUSED', errorCode: 'ECONNREFUSED' },
+      {}
+    );
+    assert.strictEqual(err.retryable, true);
+  });
+});
+
+describe('apiClient retry', function () {
+  let server;
+  let requests;
+  let failuresLeft;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      req.resume();
+      requests.push(req.url);
+      const status = failuresLeft > 0 ? 503 : 200;
+      failuresLeft -= 1;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+    failuresLeft = 1;
+  });
+
+  function call(retry, methodName, args) {
+    const client = createApiClient({
+      ApplicationId: 'app-id',
+      BaseUri: 'http://127.0.0.1:' + server.address().port,
+      UserAgent: 'moesif-nodejs/test',
+      retry: retry,
+    });
+    return new Promise(function (resolve) {
+      client[methodName].apply(
+        client,
+        args.concat(function (err) {
+          resolve(err);
+        })
+      );
+    });
+  }
+
+  it('retries with the retry of its own instance', function () {
+    return call(1, 'getAppConfig', [])
+      .then(function (err) {
+        assert.strictEqual(err, null);
+        assert.deepStrictEqual(requests, ['/v1/config', '/v1/config']);
+
+        requests = [];
+        failuresLeft = 1;
+        return call(0, 'getAppConfig', []);
+      })
+      .then(function (err) {
+        assert.ok(err);
+        assert.deepStrictEqual(requests, ['/v1/config'], 'another instance must not retry');
+      });
+  });
+
+  it('does not retry batches on server errors', function () {
+    return call(2, 'createEventsBatch', [[{ request: {}, response: {} }]]).then(function (err) {
+      assert.ok(err);
+      assert.deepStrictEqual(requests, ['/v1/events/batch']);
+    });
+  });
+});
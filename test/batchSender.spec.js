@@ -0,0 +1,119 @@
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+const createBatchSender = require('../lib/batchSender');
+
+// Sends batches to a local server standing in for the collector.
+
+describe('batchSender', function () {
+  let server;
+  let received;
+  let responseStatus;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      const chunks = [];
+      req.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function () {
+        const body = Buffer.concat(chunks);
+        const encoding = req.headers['content-encoding'];
+        let decoded = body;
+        if (encoding === 'gzip') {
+          decoded = zlib.gunzipSync(body);
+        } else if (encoding === 'br') {
+          decoded = zlib.brotliDecompressSync(body);
+        }
+        received.push({
+          url: req.url,
+          headers: req.headers,
+          rawLength: body.length,
+          events: JSON.parse(decoded.toString('utf8')),
+        });
+        res.writeHead(responseStatus, { 'x-moesif-config-etag': 'etag1', 'Retry-After': '3' });
+        res.end(responseStatus === 201 ? '' : '{"error":"try later"}');
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    received = [];
+    responseStatus = 201;
+  });
+
+  function createSender(compression, compressionThreshold) {
+    return createBatchSender({
+      baseUri: 'http://127.0.0.1:' + server.address().port + '/',
+      applicationId: 'test-app-id',
+      userAgent: 'moesif-nodejs/test',
+      compression: compression,
+      compressionThreshold: compressionThreshold,
+    });
+  }
+
+  function largeEvents() {
+    const events = [];
+    for (let i = 0; i < 50; i++) {
+      events.push({ request: { uri: 'http://example.com/items/' + i, body: 'x'.repeat(100) } });
+    }
+    return events;
+  }
+
+  function send(sender, events) {
+    return new Promise(function (resolve) {
+      sender.createEventsBatch(events, function (err, response, context) {
+        resolve({ err: err, response: response, context: context });
+      });
+    });
+  }
+
+  it('gzips batches over the threshold', function () {
+    const events = largeEvents();
+    return send(createSender('gzip'), events).then(function (result) {
+      assert.strictEqual(result.err, null);
+      assert.strictEqual(result.response.headers['x-moesif-config-etag'], 'etag1');
+      assert.strictEqual(received[0].url, '/v1/events/batch');
+      assert.strictEqual(received[0].headers['content-encoding'], 'gzip');
+      assert.strictEqual(received[0].headers['x-moesif-application-id'], 'test-app-id');
+      assert(received[0].rawLength < JSON.stringify(events).length, 'body should be compressed');
+      assert.deepStrictEqual(received[0].events, events);
+    });
+  });
+
+  it('compresses with brotli', function () {
+    const events = largeEvents();
+    return send(createSender('br'), events).then(function () {
+      assert.strictEqual(received[0].headers['content-encoding'], 'br');
+      assert.deepStrictEqual(received[0].events, events);
+    });
+  });
+
+  it('sends batches under the threshold uncompressed', function () {
+    const events = [{ request: { uri: 'http://example.com' } }];
+    return send(createSender('gzip', 1024), events).then(function () {
+      assert.strictEqual(received[0].headers['content-encoding'], undefined);
+      assert.deepStrictEqual(received[0].events, events);
+    });
+  });
+
+  it('does not compress with none', function () {
+    return send(createSender('none'), largeEvents()).then(function () {
+      assert.strictEqual(received[0].headers['content-encoding'], undefined);
+    });
+  });
+
+  it('reports failed responses the same way as moesifapi', function () {
+    responseStatus = 503;
+    return send(createSender('gzip'), largeEvents()).then(function (result) {
+      assert.strictEqual(result.err.errorCode, 503);
+      assert.deepStrictEqual(result.err.errorResponse, { error: 'try later' });
+      assert.strictEqual(result.context.response.headers['retry-after'], '3');
+    });
+  });
+});
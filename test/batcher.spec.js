@@ -0,0 +1,348 @@
+const assert = require('assert');
+const createBatcher = require('../lib/batcher');
+
+// Tests for flushing the batcher on demand, e.g. during graceful shutdown.
+
+describe('batcher flush', function () {
+  it('resolves once the handler reports the batch as done', function () {
+    const handled = [];
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        setTimeout(function () {
+          handled.push(dataArray);
+          done();
+        }, 20);
+      },
+      100,
+      60000
+    );
+
+    batcher.add('1');
+    batcher.add('2');
+
+    return batcher.flush().then(function () {
+      assert.strictEqual(handled.length, 1, 'expected a single batch');
+      assert.deepStrictEqual(handled[0], ['1', '2']);
+      assert.strictEqual(batcher.dataArray.length, 0, 'queue should be drained');
+    });
+  });
+
+  it('waits for batches already in flight', function () {
+    let finishedBatches = 0;
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        setTimeout(function () {
+          finishedBatches += 1;
+          done();
+        }, 30);
+      },
+      2,
+      60000
+    );
+
+    // size triggered flush
+    batcher.add('1');
+    batcher.add('2');
+    batcher.add('3');
+
+    return batcher.flush().then(function () {
+      assert.strictEqual(finishedBatches, 2, 'both batches should have completed');
+    });
+  });
+
+  it('resolves immediately and does not call the handler when empty', function () {
+    let called = false;
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        called = true;
+        done();
+      },
+      100,
+      60000
+    );
+
+    return batcher.flush().then(function () {
+      assert.strictEqual(called, false, 'handler should not be called for an empty queue');
+    });
+  });
+});
+
+describe('batcher bounded queue', function () {
+  // handler that never completes, so everything beyond maxInFlight stays queued.
+  // maxTime is 0 in these tests so no flush timer is left behind.
+  function stuckHandler(sent) {
+    return function (dataArray) {
+      sent.push(dataArray);
+    };
+  }
+
+  it('limits the number of batches in flight', function (done) {
+    const sent = [];
+    const batcher = createBatcher(stuckHandler(sent), 2, 0, { maxInFlight: 1 });
+
+    ['1', '2', '3', '4', '5'].forEach(function (item) {
+      batcher.add(item);
+    });
+
+    setTimeout(function () {
+      assert.strictEqual(sent.length, 1, 'only one batch should be in flight');
+      assert.deepStrictEqual(batcher.getStats(), { queued: 3, inFlight: 1, dropped: 0 });
+      done();
+    }, 50);
+  });
+
+  it('sends queued batches once an in flight batch completes', function () {
+    const sent = [];
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        sent.push(dataArray);
+        setTimeout(done, 10);
+      },
+      2,
+      0,
+      { maxInFlight: 1 }
+    );
+
+    ['1', '2', '3', '4', '5'].forEach(function (item) {
+      batcher.add(item);
+    });
+
+    return batcher.flush().then(function () {
+      assert.deepStrictEqual(sent, [['1', '2'], ['3', '4'], ['5']]);
+    });
+  });
+
+  it('drops the oldest events by default', function () {
+    const sent = [];
+    const batcher = createBatcher(stuckHandler(sent), 10, 0, { maxQueueSize: 3 });
+
+    ['1', '2', '3', '4', '5'].forEach(function (item) {
+      batcher.add(item);
+    });
+
+    assert.deepStrictEqual(batcher.dataArray, ['3', '4', '5']);
+    assert.strictEqual(batcher.getStats().dropped, 2);
+  });
+
+  it('drops the newest events with drop-newest', function () {
+    const dropReports = [];
+    const batcher = createBatcher(stuckHandler([]), 10, 0, {
+      maxQueueSize: 3,
+      dropPolicy: 'drop-newest',
+      onDrop: function (count, policy) {
+        dropReports.push([count, policy]);
+      },
+    });
+
+    ['1', '2', '3', '4', '5'].forEach(function (item) {
+      batcher.add(item);
+    });
+
+    assert.deepStrictEqual(batcher.dataArray, ['1', '2', '3']);
+    assert.deepStrictEqual(dropReports, [
+      [1, 'drop-newest'],
+      [1, 'drop-newest'],
+    ]);
+  });
+
+  it('halves the queue and doubles the weight with sample-down', function () {
+    const batcher = createBatcher(stuckHandler([]), 10, 0, {
+      maxQueueSize: 4,
+      dropPolicy: 'sample-down',
+    });
+
+    [1, 2, 3, 4, 5].forEach(function (id) {
+      batcher.add({ id: id, weight: 1 });
+    });
+
+    assert.deepStrictEqual(batcher.dataArray, [
+      { id: 1, weight: 2 },
+      { id: 3, weight: 2 },
+      { id: 5, weight: 1 },
+    ]);
+    assert.strictEqual(batcher.getStats().dropped, 2);
+  });
+
+  it('keeps a queue of one item with sample-down', function () {
+    const batcher = createBatcher(stuckHandler([]), 10, 0, {
+      maxQueueSize: 1,
+      dropPolicy: 'sample-down',
+    });
+
+    [1, 2, 3].forEach(function (id) {
+      batcher.add({ id: id, weight: 1 });
+      assert.strictEqual(batcher.dataArray.length, 1);
+    });
+
+    assert.deepStrictEqual(batcher.dataArray, [{ id: 3, weight: 1 }]);
+    assert.strictEqual(batcher.getStats().dropped, 2);
+  });
+
+  it('keeps a queue of two items with sample-down', function () {
+    const batcher = createBatcher(stuckHandler([]), 10, 0, {
+      maxQueueSize: 2,
+      dropPolicy: 'sample-down',
+    });
+
+    [1, 2, 3, 4].forEach(function (id) {
+      batcher.add({ id: id, weight: 1 });
+      assert.ok(batcher.dataArray.length <= 2);
+    });
+
+    assert.deepStrictEqual(batcher.dataArray, [
+      { id: 1, weight: 4 },
+      { id: 4, weight: 1 },
+    ]);
+    assert.strictEqual(batcher.getStats().dropped, 2);
+  });
+});
+
+describe('batcher byte limit', function () {
+  function sizeOfString(item) {
+    return item.length;
+  }
+
+  it('splits batches so they stay within maxBytes', function () {
+    const sent = [];
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        sent.push(dataArray);
+        done();
+      },
+      100,
+      0,
+      { maxBytes: 10, sizeOf: sizeOfString }
+    );
+
+    ['aaaa', 'bbbb', 'cccc', 'dd'].forEach(function (item) {
+      batcher.add(item);
+    });
+
+    return batcher.flush().then(function () {
+      assert.deepStrictEqual(sent, [
+        ['aaaa', 'bbbb'],
+        ['cccc', 'dd'],
+      ]);
+    });
+  });
+
+  it('sends an item larger than maxBytes in a batch of its own', function () {
+    const sent = [];
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        sent.push(dataArray);
+        done();
+      },
+      100,
+      0,
+      { maxBytes: 5, sizeOf: sizeOfString }
+    );
+
+    batcher.add('a');
+    batcher.add('much too large');
+
+    return batcher.flush().then(function () {
+      assert.deepStrictEqual(sent, [['a'], ['much too large']]);
+    });
+  });
+
+  it('keeps track of the queued bytes when dropping', function () {
+    const batcher = createBatcher(function () {}, 100, 0, {
+      maxInFlight: 1,
+      maxQueueSize: 2,
+      maxBytes: 100,
+      sizeOf: sizeOfString,
+    });
+
+    ['aaaa', 'bb', 'c'].forEach(function (item) {
+      batcher.add(item);
+    });
+
+    assert.deepStrictEqual(batcher.dataArray, ['bb', 'c']);
+    assert.strictEqual(batcher._queuedBytes, 3);
+  });
+});
+
+describe('batcher retry', function () {
+  function failingError(extra) {
+    return Object.assign({ errorMessage: 'HTTP Response Not OK', retryable: true }, extra);
+  }
+
+  it('retries a retryable failure until it succeeds', function () {
+    const attempts = [];
+    const batcher = createBatcher(
+      function (dataArray, done, attemptInfo) {
+        attempts.push(attemptInfo.attempt);
+        if (attemptInfo.attempt < 3) {
+          done(failingError());
+        } else {
+          done();
+        }
+      },
+      10,
+      0,
+      { retryMaxAge: 5000, retryBaseDelay: 20, retryMaxDelay: 40 }
+    );
+
+    batcher.add('1');
+
+    return batcher.flush().then(function () {
+      assert.deepStrictEqual(attempts, [1, 2, 3]);
+    });
+  });
+
+  it('gives up right away on errors that are not retryable', function () {
+    const givenUp = [];
+    let attempts = 0;
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        attempts += 1;
+        done(failingError({ retryable: false, errorCode: 400 }));
+      },
+      10,
+      0,
+      {
+        retryMaxAge: 5000,
+        retryBaseDelay: 20,
+        onGiveUp: function (dataArray, err) {
+          givenUp.push([dataArray, err.errorCode]);
+        },
+      }
+    );
+
+    batcher.add('1');
+
+    return batcher.flush().then(function () {
+      assert.strictEqual(attempts, 1);
+      assert.deepStrictEqual(givenUp, [[['1'], 400]]);
+    });
+  });
+
+  it('honours retryAfter and gives up once the batch is too old', function () {
+    const attemptTimes = [];
+    let gaveUpWith = null;
+    const batcher = createBatcher(
+      function (dataArray, done) {
+        attemptTimes.push(Date.now());
+        done(failingError({ errorCode: 429, retryAfter: 200 }));
+      },
+      10,
+      0,
+      {
+        retryMaxAge: 500,
+        retryBaseDelay: 1,
+        onGiveUp: function (dataArray, err) {
+          gaveUpWith = err;
+        },
+      }
+    );
+
+    batcher.add('1');
+
+    return batcher.flush().then(function () {
+      assert.strictEqual(attemptTimes.length, 3, 'expected two retries within max age');
+      assert(attemptTimes[1] - attemptTimes[0] >= 195, 'retry should wait for retryAfter');
+      assert.strictEqual(gaveUpWith.errorCode, 429);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const Fastify = require('fastify');
+const createFastifyPlugin = require('../lib/fastifyPlugin');
+const createOutgoingRecorder = require('../lib/outgoingRecorder');
+const nextjsUtils = require('../lib/nextjsUtils');
+const { applyEventMasking } = require('../lib/eventMasking');
+const { pluginOptions, noGovernance } = require('./helpers');
+
+const HASH_PATTERN = /^[0-9a-f]{32}$/;
+
+// options masking by every step, maskContent records what it gets.
+function maskingOptions(seen) {
+  return pluginOptions({
+    logBody: true,
+    requestHeaderDenylist: ['x-internal'],
+    maskQueryParams: ['token'],
+    maskContent: function (event) {
+      seen.push(JSON.parse(JSON.stringify(event)));
+      return event;
+    },
+    maskFields: ['request.body.note'],
+  });
+}
+
+function assertMaskedBeforeMaskContent(event) {
+  assert.strictEqual(event.request.headers['x-internal'], undefined);
+  assert.match(event.request.uri, /token=\*{5}/);
+  assert.match(event.request.body.password, HASH_PATTERN);
+  assert.strictEqual(event.metadata.masked_field_count, 1);
+  // maskFields come after maskContent.
+  assert.strictEqual(event.request.body.note, 'private');
+}
+
+describe('applyEventMasking', function () {
+  it('masks in order, with maskContent before maskFields', function () {
+    const seen = [];
+    const masked = applyEventMasking(
+      {
+        request: {
+          uri: 'https://api.example.com/items?token=abc',
+          headers: { 'x-internal': 'yes' },
+          body: { password: 'hunter2', note: 'private' },
+        },
+        response: { headers: {}, body: {} },
+        metadata: { tenant: 'acme' },
+      },
+      maskingOptions(seen)
+    );
+
+    assertMaskedBeforeMaskContent(seen[0]);
+    assert.strictEqual(seen[0].metadata.tenant, 'acme');
+    assert.strictEqual(masked.request.body.note, '*****');
+  });
+
+  it('gives maskContent the same event for incoming, outgoing and next.js events', function () {
+    const seen = [];
+    const options = maskingOptions(seen);
+    const body = { password: 'hunter2', note: 'private' };
+
+    const recorder = createOutgoingRecorder(
+      function () {},
+      options,
+      function () {}
+    );
+    recorder({
+      request: {
+        verb: 'POST',
+        uri: 'https://api.example.com/items?token=abc',
+        headers: { 'x-internal': 'yes' },
+        body: body,
+      },
+      response: { status: 200, headers: {} },
+    });
+
+    const fastify = Fastify();
+    fastify.register(createFastifyPlugin(options, function () {}, noGovernance));
+    fastify.post('/items', function () {
+      return {};
+    });
+
+    return fastify
+      .inject({
+        method: 'POST',
+        url: '/items?token=abc',
+        headers: { 'x-internal': 'yes' },
+        payload: body,
+      })
+      .then(function () {
+        return nextjsUtils.extractNextJsEventDataAndSave({
+          request: new Request('http://localhost:3000/items?token=abc', {
+            method: 'POST',
+            headers: { 'x-internal': 'yes', 'content-type': 'application/json' },
+            body: JSON.stringify(body),
+          }),
+          requestTime: new Date().toISOString(),
+          response: new Response('{}'),
+          responseTime: new Date().toISOString(),
+          options: options,
+          saveEvent: function () {},
+        });
+      })
+      .then(function () {
+        assert.strictEqual(seen.length, 3);
+        seen.forEach(assertMaskedBeforeMaskContent);
+      })
+      .finally(function () {
+        return fastify.close();
+      });
+  });
+});
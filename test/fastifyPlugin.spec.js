@@ -0,0 +1,145 @@
+const assert = require('assert');
+const Fastify = require('fastify');
+const createFastifyPlugin = require('../lib/fastifyPlugin');
+const { pluginOptions, noGovernance } = require('./helpers');
+
+describe('fastify plugin', function () {
+  let fastify;
+
+  afterEach(function () {
+    return fastify.close();
+  });
+
+  function createServer(options, governRequest) {
+    const events = [];
+    fastify = Fastify();
+    fastify.register(
+      createFastifyPlugin(
+        pluginOptions({ logBody: true }, options),
+        function (event) {
+          events.push(event);
+        },
+        governRequest || noGovernance
+      )
+    );
+    fastify.addHook('preHandler', function (request, reply, done) {
+      request.user = { id: 'user-1' };
+      done();
+    });
+    fastify.post('/items/:id', function (request) {
+      return { id: request.params.id, name: request.body.name };
+    });
+    return events;
+  }
+
+  it('captures the parsed request body and the serialized response', function () {
+    const events = createServer();
+
+    return fastify
+      .inject({ method: 'POST', url: '/items/7?expand=1', payload: { name: 'widget' } })
+      .then(function (response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(events.length, 1);
+        const event = events[0];
+        assert.strictEqual(event.request.verb, 'POST');
+        assert.strictEqual(event.request.uri, 'http://localhost:80/items/7?expand=1');
+        assert.deepStrictEqual(event.request.body, { name: 'widget' });
+        assert.strictEqual(event.response.status, 200);
+        assert.deepStrictEqual(event.response.body, { id: '7', name: 'widget' });
+        assert.strictEqual(event.userId, 'user-1');
+        assert.strictEqual(event.direction, 'Incoming');
+      });
+  });
+
+  it('adds the transaction id to the response and the event', function () {
+    const events = createServer();
+
+    return fastify
+      .inject({ method: 'POST', url: '/items/1', payload: { name: 'a' } })
+      .then(function (response) {
+        const txId = response.headers['x-moesif-transaction-id'];
+        assert(txId, 'response should have a transaction id');
+        assert.strictEqual(events[0].request.headers['x-moesif-transaction-id'], txId);
+        assert.strictEqual(
+          events[0].response.headers['content-type'],
+          'application/json; charset=utf-8'
+        );
+      });
+  });
+
+  it('blocks requests matching a governance rule', function () {
+    let handlerCalled = false;
+    const events = createServer({}, function () {
+      return {
+        blocked_by: 'rule-1',
+        status: 403,
+        headers: { 'X-Blocked': 'yes' },
+        body: { error: 'blocked' },
+      };
+    });
+    fastify.get('/blocked', function () {
+      handlerCalled = true;
+      return {};
+    });
+
+    return fastify.inject({ method: 'GET', url: '/blocked' }).then(function (response) {
+      assert.strictEqual(handlerCalled, false, 'route handler should not run');
+      assert.strictEqual(response.statusCode, 403);
+      assert.strictEqual(response.headers['x-blocked'], 'yes');
+      assert.deepStrictEqual(response.json(), { error: 'blocked' });
+      assert.strictEqual(events[0].blockedBy, 'rule-1');
+      assert.deepStrictEqual(events[0].response.body, { error: 'blocked' });
+    });
+  });
+
+  it('captures responses of onRequest hooks that run before moesif', function () {
+    const events = [];
+    fastify = Fastify();
+    fastify.addHook('onRequest', function (request, reply, done) {
+      if (!request.headers.authorization) {
+        reply.code(401).send({ error: 'unauthorized' });
+        return;
+      }
+      done();
+    });
+    fastify.register(
+      createFastifyPlugin(
+        pluginOptions({ logBody: true }),
+        function (event) {
+          events.push(event);
+        },
+        noGovernance
+      )
+    );
+    fastify.get('/me', function () {
+      return {};
+    });
+
+    return fastify
+      .inject({ method: 'GET', url: '/me' })
+      .then(function (response) {
+        assert.strictEqual(response.statusCode, 401);
+        return fastify.inject({ method: 'GET', url: '/me', headers: { authorization: 'yes' } });
+      })
+      .then(function (response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepStrictEqual(
+          events.map(function (event) {
+            return event.response.status;
+          }),
+          [401, 200]
+        );
+      });
+  });
+
+  it('does not capture bodies without logBody', function () {
+    const events = createServer({ logBody: false });
+
+    return fastify
+      .inject({ method: 'POST', url: '/items/1', payload: { name: 'a' } })
+      .then(function () {
+        assert.strictEqual(events[0].request.body, undefined);
+        assert.strictEqual(events[0].response.body, undefined);
+      });
+  });
+});
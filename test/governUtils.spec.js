@@ -0,0 +1,46 @@
+const assert = require('assert');
+const governUtils = require('../lib/governUtils');
+
+describe('govern utils', function () {
+  it('sets the headers of the rules', function () {
+    const headers = {};
+    const setHeader = function (name, value) {
+      headers[name] = value;
+    };
+    governUtils.setGovernedHeaders({ 'X-Plan': 'free', 'X-RateLimit-Remaining': 4 }, setHeader);
+    governUtils.setGovernedHeaders(undefined, setHeader);
+    assert.deepStrictEqual(headers, { 'X-Plan': 'free', 'X-RateLimit-Remaining': 4 });
+  });
+
+  it('records the blocking rule for the event', function () {
+    const res = {};
+    const blocked = governUtils.recordGovernedResponse(
+      res,
+      { status: 403, body: { reason: 'blocked' }, blocked_by: 'blockAdmin' },
+      {}
+    );
+    assert.strictEqual(blocked, true);
+    assert.strictEqual(res._mo_blocked_by, 'blockAdmin');
+    assert.deepStrictEqual(res._mo_blocked_body, { reason: 'blocked' });
+    assert.strictEqual(res._mo_would_block_by, undefined);
+  });
+
+  it('only records rules in shadow mode', function () {
+    const res = {};
+    const blocked = governUtils.recordGovernedResponse(
+      res,
+      {
+        status: null,
+        body: null,
+        blocked_by: null,
+        would_block_by: 'blockAdmin',
+        would_block_status: 403,
+      },
+      {}
+    );
+    assert.strictEqual(blocked, false);
+    assert.strictEqual(res._mo_blocked_by, undefined);
+    assert.strictEqual(res._mo_would_block_by, 'blockAdmin');
+    assert.strictEqual(res._mo_would_block_status, 403);
+  });
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const Fastify = require('fastify');
+const createFastifyPlugin = require('../lib/fastifyPlugin');
+const governanceRulesManagerModule = require('../lib/governanceRulesManager');
+const { pluginOptions } = require('./helpers');
+
+const GovernanceRulesManager = governanceRulesManagerModule.GovernanceRulesManager;
+const ensureValidGovernanceModes = governanceRulesManagerModule.ensureValidGovernanceModes;
+
+const rules = [
+  {
+    _id: 'blockAdmin',
+    type: 'regex',
+    applied_to: 'matching',
+    regex_config: [{ conditions: [{ path: 'request.route', value: '^/admin' }] }],
+    block: true,
+    response: { status: 403, headers: { 'X-Blocked': 'true' }, body: { reason: 'admin' } },
+  },
+  {
+    _id: 'addHeader',
+    type: 'regex',
+    applied_to: 'matching',
+    response: { headers: { 'X-Plan': 'free' } },
+  },
+];
+
+function createManager(mode, ruleModes) {
+  const manager = new GovernanceRulesManager({});
+  manager._rules = rules;
+  manager._cacheRules(rules);
+  manager.setGovernanceMode(mode, ruleModes);
+  return manager;
+}
+
+function governRequest(manager, url) {
+  return manager.governRequest({}, undefined, undefined, { method: 'GET', url: url, headers: {} });
+}
+
+describe('governance mode', function () {
+  it('enforces rules by default', function () {
+    const result = governRequest(createManager(), '/admin/users');
+    assert.strictEqual(result.blocked_by, 'blockAdmin');
+    assert.strictEqual(result.status, 403);
+    assert.strictEqual(result.would_block_by, null);
+  });
+
+  it('only records rules in shadow mode', function () {
+    const result = governRequest(createManager('shadow'), '/admin/users');
+    assert.strictEqual(result.blocked_by, null);
+    assert.strictEqual(result.status, null);
+    assert.deepStrictEqual(result.headers, {});
+    assert.strictEqual(result.would_block_by, 'blockAdmin');
+    assert.strictEqual(result.would_block_status, 403);
+  });
+
+  it('sets the mode of single rules', function () {
+    const shadowBlock = governRequest(createManager('enforce', { blockAdmin: 'shadow' }), '/admin');
+    assert.strictEqual(shadowBlock.blocked_by, null);
+    assert.strictEqual(shadowBlock.would_block_by, 'blockAdmin');
+    assert.strictEqual(shadowBlock.headers['X-Plan'], 'free');
+
+    const enforcedBlock = governRequest(
+      createManager('shadow', { blockAdmin: 'enforce' }),
+      '/admin'
+    );
+    assert.strictEqual(enforcedBlock.blocked_by, 'blockAdmin');
+    assert.strictEqual(enforcedBlock.headers['X-Plan'], undefined);
+  });
+
+  it('records rate limits in shadow mode', function () {
+    const manager = new GovernanceRulesManager({});
+    manager.setRateLimitRules([{ id: 'per-user', key: 'userId', limit: 1, windowMs: 60000 }]);
+    manager.setGovernanceMode('shadow');
+    const request = { method: 'GET', url: '/api', headers: {} };
+
+    manager.governRequest({}, 'u1', undefined, request);
+    const result = manager.governRequest({}, 'u1', undefined, request);
+    assert.strictEqual(result.blocked_by, null);
+    assert.strictEqual(result.would_block_by, 'per-user');
+    assert.strictEqual(result.would_block_status, 429);
+    assert.deepStrictEqual(result.headers, {});
+  });
+
+  it('rejects unknown modes', function () {
+    assert.throws(
+      () => ensureValidGovernanceModes({ governanceMode: 'dry-run' }),
+      /governanceMode/
+    );
+    assert.throws(
+      () => ensureValidGovernanceModes({ governanceRuleModes: { blockAdmin: 'off' } }),
+      /governanceRuleModes of blockAdmin/
+    );
+    ensureValidGovernanceModes({ governanceMode: 'shadow', governanceRuleModes: {} });
+  });
+
+  it('lets the request through and records would_block_by on the event', function () {
+    const manager = createManager('shadow');
+    const events = [];
+    const fastify = Fastify();
+    fastify.register(
+      createFastifyPlugin(
+        pluginOptions(),
+        function (event) {
+          events.push(event);
+        },
+        function (req) {
+          return manager.governRequest({}, undefined, undefined, req);
+        }
+      )
+    );
+    fastify.get('/admin/users', function () {
+      return { users: [] };
+    });
+
+    return fastify
+      .inject({ method: 'GET', url: '/admin/users' })
+      .then(function (response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(events[0].blockedBy, undefined);
+        assert.strictEqual(events[0].metadata.would_block_by, 'blockAdmin');
+        assert.strictEqual(events[0].metadata.would_block_status, 403);
+      })
+      .finally(function () {
+        return fastify.close();
+      });
+  });
+});
@@ -0,0 +1,226 @@
+const assert = require('assert');
+const http = require('http');
+const Hapi = require('@hapi/hapi');
+const createHapiPlugin = require('../lib/hapiPlugin');
+const requestContext = require('../lib/requestContext');
+const { pluginOptions, noGovernance } = require('./helpers');
+
+describe('hapi plugin', function () {
+  let server;
+  let events;
+
+  function createServer(options, governRequest) {
+    events = [];
+    server = Hapi.server();
+    server.route({
+      method: 'POST',
+      path: '/items/{id}',
+      handler: function (request) {
+        return { id: request.params.id, name: request.payload.name };
+      },
+    });
+    return server.register(
+      createHapiPlugin(
+        pluginOptions({ logBody: true }, options),
+        function (event) {
+          events.push(event);
+        },
+        governRequest || noGovernance
+      )
+    );
+  }
+
+  it('captures the request payload and the response source', function () {
+    return createServer()
+      .then(function () {
+        return server.inject({
+          method: 'POST',
+          url: '/items/7?expand=1',
+          payload: { name: 'widget' },
+        });
+      })
+      .then(function (response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(events.length, 1);
+        const event = events[0];
+        assert.strictEqual(event.request.verb, 'POST');
+        assert.strictEqual(
+          event.request.uri,
+          'http://' + response.request.info.host + '/items/7?expand=1'
+        );
+        assert.deepStrictEqual(event.request.body, { name: 'widget' });
+        assert.strictEqual(event.response.status, 200);
+        assert.deepStrictEqual(event.response.body, { id: '7', name: 'widget' });
+        assert.strictEqual(event.direction, 'Incoming');
+      });
+  });
+
+  it('adds the transaction id to the response and the event', function () {
+    return createServer()
+      .then(function () {
+        return server.inject({ method: 'POST', url: '/items/1', payload: { name: 'a' } });
+      })
+      .then(function (response) {
+        const txId = response.headers['x-moesif-transaction-id'];
+        assert(txId, 'response should have a transaction id');
+        assert.strictEqual(events[0].request.headers['x-moesif-transaction-id'], txId);
+      });
+  });
+
+  it('captures error responses', function () {
+    return createServer()
+      .then(function () {
+        return server.inject({ method: 'GET', url: '/missing' });
+      })
+      .then(function (response) {
+        assert.strictEqual(response.statusCode, 404);
+        assert.strictEqual(events[0].response.status, 404);
+        assert.strictEqual(events[0].response.body.error, 'Not Found');
+      });
+  });
+
+  it('blocks requests matching a governance rule and takes over the response', function () {
+    let handlerCalled = false;
+    return createServer({}, function () {
+      return {
+        blocked_by: 'rule-1',
+        status: 403,
+        headers: { 'X-Blocked': 'yes' },
+        body: { error: 'blocked' },
+      };
+    })
+      .then(function () {
+        server.route({
+          method: 'GET',
+          path: '/blocked',
+          handler: function () {
+            handlerCalled = true;
+            return {};
+          },
+        });
+        return server.inject({ method: 'GET', url: '/blocked' });
+      })
+      .then(function (response) {
+        assert.strictEqual(handlerCalled, false, 'route handler should not run');
+        assert.strictEqual(response.statusCode, 403);
+        assert.strictEqual(response.headers['x-blocked'], 'yes');
+        assert.deepStrictEqual(JSON.parse(response.payload), { error: 'blocked' });
+        assert.strictEqual(events[0].blockedBy, 'rule-1');
+        assert.deepStrictEqual(events[0].response.body, { error: 'blocked' });
+      });
+  });
+
+  it('captures responses of onRequest exts that run before moesif', function () {
+    events = [];
+    server = Hapi.server();
+    server.ext('onRequest', function (request, h) {
+      return h.response({ error: 'unauthorized' }).code(401).takeover();
+    });
+    return server
+      .register(
+        createHapiPlugin(
+          pluginOptions({ logBody: true }),
+          function (event) {
+            events.push(event);
+          },
+          noGovernance
+        )
+      )
+      .then(function () {
+        return server.inject({ method: 'GET', url: '/me' });
+      })
+      .then(function (response) {
+        assert.strictEqual(response.statusCode, 401);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].response.status, 401);
+      });
+  });
+
+  it('passes the auth credentials to identifyUser', function () {
+    return createServer()
+      .then(function () {
+        server.auth.scheme('test', function () {
+          return {
+            authenticate: function (request, h) {
+              return h.authenticated({ credentials: { id: 'user-1' } });
+            },
+          };
+        });
+        server.auth.strategy('test', 'test');
+        server.route({
+          method: 'GET',
+          path: '/me',
+          options: { auth: 'test' },
+          handler: function () {
+            return 'ok';
+          },
+        });
+        return server.inject({ method: 'GET', url: '/me' });
+      })
+      .then(function () {
+        assert.strictEqual(events[0].userId, 'user-1');
+      });
+  });
+
+  it('keeps the request context to its request on keep-alive connections', function () {
+    const seenOnArrival = [];
+    const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+    const get = function (txId) {
+      return new Promise(function (resolve, reject) {
+        http
+          .get(
+            {
+              host: '127.0.0.1',
+              port: server.info.port,
+              path: '/context',
+              agent: agent,
+              headers: { 'x-moesif-transaction-id': txId },
+            },
+            function (res) {
+              let body = '';
+              res.on('data', function (chunk) {
+                body += chunk;
+              });
+              res.on('end', function () {
+                resolve(JSON.parse(body));
+              });
+            }
+          )
+          .on('error', reject);
+      });
+    };
+
+    server = Hapi.server({ host: '127.0.0.1', port: 0 });
+    server.route({
+      method: 'GET',
+      path: '/context',
+      handler: function () {
+        return { transactionId: requestContext.getRequestContext().transactionId };
+      },
+    });
+    return server
+      .register(createHapiPlugin(pluginOptions(), function () {}, noGovernance))
+      .then(function () {
+        // before moesif's onRequest ext, the context of the previous request must be gone.
+        server.listener.prependListener('request', function () {
+          seenOnArrival.push(requestContext.getRequestContext());
+        });
+        return server.start();
+      })
+      .then(function () {
+        return get('tx-1');
+      })
+      .then(function (first) {
+        assert.strictEqual(first.transactionId, 'tx-1');
+        return get('tx-2');
+      })
+      .then(function (second) {
+        assert.strictEqual(second.transactionId, 'tx-2');
+        assert.deepStrictEqual(seenOnArrival, [undefined, undefined]);
+      })
+      .finally(function () {
+        agent.destroy();
+        return server.stop();
+      });
+  });
+});
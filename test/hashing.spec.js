@@ -0,0 +1,58 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const hashing = require('../lib/hashing');
+const dataUtils = require('../lib/dataUtils');
+const maskFields = require('../lib/maskFields');
+
+describe('hashing', function () {
+  it('uses md5 by default', function () {
+    assert.strictEqual(hashing.createHasher()('hunter2'), '2ab96390c7dbe3439de74d0c9b0b1767');
+  });
+
+  it('uses HMAC-SHA-256 with the secret', function () {
+    const expected = crypto.createHmac('sha256', 's3cret').update('4111').digest('hex');
+    assert.strictEqual(hashing.createHasher('hmac-sha256', 's3cret')(4111), expected);
+    assert.throws(function () {
+      hashing.createHasher('hmac-sha256');
+    }, /hashSecret is required/);
+  });
+
+  it('keeps the last 4 letters and digits and the format', function () {
+    const last4 = hashing.createHasher('last4');
+    assert.strictEqual(last4('4111-1111-1111-1234'), '****-****-****-1234');
+    assert.strictEqual(last4('hunter22'), '****er22');
+    assert.strictEqual(last4('abc'), '***');
+  });
+
+  it('redacts', function () {
+    assert.strictEqual(hashing.createHasher('redact')('hunter2'), '*****');
+  });
+
+  it('rejects unknown strategies', function () {
+    assert.throws(function () {
+      hashing.createHasher('sha1');
+    }, /hashStrategy must be one of md5, hmac-sha256, last4, redact/);
+  });
+
+  it('is used for sensitive values and the maskFields hash action', function () {
+    const options = { hashStrategy: 'last4' };
+    const logData = {
+      request: {
+        headers: {},
+        body: { password: 'hunter22', card: '4111111111111111', ssn: '123456789' },
+      },
+      response: { headers: {}, body: null },
+    };
+    dataUtils.hashSensitiveEvent(logData, options);
+    maskFields.applyMaskFields(
+      logData,
+      [{ path: 'request.body.ssn', action: 'hash' }],
+      hashing.getHasher(options)
+    );
+    assert.deepStrictEqual(logData.request.body, {
+      password: '****er22',
+      card: '************1111',
+      ssn: '*****6789',
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const Fastify = require('fastify');
+const createFastifyPlugin = require('../lib/fastifyPlugin');
+const headerFilter = require('../lib/headerFilter');
+const { pluginOptions } = require('./helpers');
+
+function event() {
+  return {
+    request: {
+      headers: {
+        Authorization: 'Bearer abc',
+        cookie: 'session=1',
+        'x-api-key': 'key',
+        accept: 'application/json',
+        'x-internal': 'yes',
+      },
+    },
+    response: {
+      headers: { 'set-cookie': ['session=2'], 'content-type': 'application/json', server: 'x' },
+    },
+  };
+}
+
+describe('header filter', function () {
+  it('redacts credentials by default', function () {
+    const logData = headerFilter.filterEventHeaders(event(), {});
+    assert.deepStrictEqual(logData.request.headers, {
+      Authorization: '*****',
+      cookie: '*****',
+      'x-api-key': '*****',
+      accept: 'application/json',
+      'x-internal': 'yes',
+    });
+    assert.strictEqual(logData.response.headers['set-cookie'], '*****');
+  });
+
+  it('applies allowlists and denylists case insensitively', function () {
+    const logData = headerFilter.filterEventHeaders(event(), {
+      requestHeaderAllowlist: ['Accept', 'X-Internal', 'authorization'],
+      requestHeaderDenylist: ['X-INTERNAL'],
+      responseHeaderDenylist: ['Server'],
+      redactHeaders: [],
+    });
+    assert.deepStrictEqual(logData.request.headers, {
+      Authorization: 'Bearer abc',
+      accept: 'application/json',
+    });
+    assert.deepStrictEqual(logData.response.headers, {
+      'set-cookie': ['session=2'],
+      'content-type': 'application/json',
+    });
+  });
+
+  it('rejects invalid lists', function () {
+    assert.throws(function () {
+      headerFilter.ensureValidHeaderLists({ requestHeaderDenylist: 'cookie' });
+    }, /requestHeaderDenylist must be an array of header names/);
+  });
+
+  it('is applied to incoming events', function () {
+    const events = [];
+    const fastify = Fastify();
+    fastify.register(
+      createFastifyPlugin(
+        pluginOptions({ responseHeaderAllowlist: ['content-type'] }),
+        function (logData) {
+          events.push(logData);
+        },
+        function () {
+          return null;
+        }
+      )
+    );
+    fastify.get('/', function () {
+      return {};
+    });
+
+    return fastify
+      .inject({ method: 'GET', url: '/', headers: { authorization: 'Bearer abc' } })
+      .then(function () {
+        assert.strictEqual(events[0].request.headers.authorization, '*****');
+        assert.deepStrictEqual(Object.keys(events[0].response.headers), ['content-type']);
+      })
+      .finally(function () {
+        return fastify.close();
+      });
+  });
+});
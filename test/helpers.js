@@ -0,0 +1,41 @@
+// Fixtures shared by the specs.
+
+/**
+ * Options as normalized by makeMoesifMiddleware.
+ * @param {...object} overrides - merged over the defaults, in order.
+ * @returns {object}
+ */
+function pluginOptions() {
+  const identity = function (eventModel) {
+    return eventModel;
+  };
+  const noop = function () {};
+  const defaults = {
+    logBody: false,
+    requestMaxBodySize: 100000,
+    responseMaxBodySize: 100000,
+    maskContent: identity,
+    identifyUser: function (req) {
+      return req.user && req.user.id;
+    },
+    identifyCompany: noop,
+    getSessionToken: noop,
+    getTags: noop,
+    getApiVersion: noop,
+    getMetadata: noop,
+    skip: function () {
+      return false;
+    },
+  };
+  return Object.assign.apply(null, [defaults].concat(Array.prototype.slice.call(arguments)));
+}
+
+// governRequest of the plugins, when there are no governance rules.
+function noGovernance() {
+  return null;
+}
+
+module.exports = {
+  pluginOptions: pluginOptions,
+  noGovernance: noGovernance,
+};
@@ -0,0 +1,228 @@
+const assert = require('assert');
+const http = require('http');
+const koaUtils = require('../lib/koaUtils');
+const moesif = require('../lib');
+
+// the parts of a koa context the middleware uses.
+function createKoaContext() {
+  const req = new http.IncomingMessage(null);
+  return {
+    req: req,
+    res: new http.ServerResponse(req),
+    state: {},
+    app: {},
+    headers: {},
+    status: 404,
+    body: undefined,
+    set: function (name, value) {
+      this.headers[name.toLowerCase()] = String(value);
+    },
+  };
+}
+
+const blockUserRule = {
+  _id: 'blockUser',
+  type: 'user',
+  applied_to: 'matching',
+  block: true,
+  response: {
+    status: 403,
+    headers: { 'X-Blocked-By': 'blockUser' },
+    body: { reason: 'blocked' },
+  },
+};
+
+// stands in for the Moesif API, the config puts u1 in the cohort of the rule.
+function startMoesifApi() {
+  const server = http.createServer(function (req, res) {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/v1/config') {
+      res.end(JSON.stringify({ user_rules: { u1: [{ rules: 'blockUser', values: {} }] } }));
+    } else if (req.url === '/v1/rules') {
+      res.end(JSON.stringify([blockUserRule]));
+    } else {
+      res.statusCode = 201;
+      res.end('{}');
+    }
+  });
+  return new Promise(function (resolve) {
+    server.listen(0, '127.0.0.1', function () {
+      resolve(server);
+    });
+  });
+}
+
+function waitFor(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise(function (resolve, reject) {
+    (function poll() {
+      if (condition()) {
+        resolve();
+      } else if (Date.now() > deadline) {
+        reject(new Error('timed out'));
+      } else {
+        setTimeout(poll, 10);
+      }
+    })();
+  });
+}
+
+describe('koa utils', function () {
+  describe('isKoaContext', function () {
+    it('detects koa contexts', function () {
+      assert.strictEqual(koaUtils.isKoaContext(createKoaContext()), true);
+    });
+
+    it('does not take requests for a koa context', function () {
+      const ctx = createKoaContext();
+      assert.strictEqual(koaUtils.isKoaContext(ctx.req), false);
+      assert.strictEqual(koaUtils.isKoaContext({ req: ctx.req, res: ctx.res }), false);
+      assert.strictEqual(koaUtils.isKoaContext(undefined), false);
+    });
+  });
+
+  describe('applyKoaGovernance', function () {
+    it('sets the status, body and headers of a blocking rule', function () {
+      const ctx = createKoaContext();
+      const blocked = koaUtils.applyKoaGovernance(ctx, {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', 'X-Blocked-By': 'rule' },
+        body: { reason: 'blocked' },
+        blocked_by: 'rule',
+      });
+
+      assert.strictEqual(blocked, true);
+      assert.strictEqual(ctx.status, 403);
+      assert.deepStrictEqual(ctx.body, { reason: 'blocked' });
+      assert.strictEqual(ctx.headers['content-type'], 'application/json');
+      assert.strictEqual(ctx.headers['x-blocked-by'], 'rule');
+      // the response is left for koa to send.
+      assert.strictEqual(ctx.res.writableEnded, false);
+    });
+
+    it('only sets the headers of non blocking rules', function () {
+      const ctx = createKoaContext();
+      const blocked = koaUtils.applyKoaGovernance(ctx, {
+        status: null,
+        headers: { 'X-RateLimit-Remaining': 4 },
+        body: null,
+        blocked_by: null,
+      });
+
+      assert.strictEqual(blocked, false);
+      assert.strictEqual(ctx.status, 404);
+      assert.strictEqual(ctx.body, undefined);
+      assert.strictEqual(ctx.headers['x-ratelimit-remaining'], '4');
+    });
+
+    it('sends an empty body for blocking rules without one', function () {
+      const ctx = createKoaContext();
+      koaUtils.applyKoaGovernance(ctx, {
+        status: 429,
+        headers: {},
+        body: null,
+        blocked_by: 'rule',
+      });
+
+      assert.strictEqual(ctx.status, 429);
+      assert.strictEqual(ctx.body, '');
+    });
+  });
+
+  describe('middleware', function () {
+    let moesifApi;
+    let app;
+    let middleware;
+    let events;
+
+    beforeEach(function () {
+      events = [];
+      return startMoesifApi().then(function (server) {
+        moesifApi = server;
+        middleware = moesif({
+          applicationId: 'test-application-id-'.repeat(3),
+          baseUri: 'http://127.0.0.1:' + server.address().port,
+          identifyUser: function () {
+            return 'u1';
+          },
+          transport: {
+            sendBatch: function (batch) {
+              events.push.apply(events, batch);
+              return Promise.resolve();
+            },
+          },
+        });
+        return waitFor(function () {
+          return middleware.getApplicableRulesForUserId('u1').length > 0;
+        }, 5000);
+      });
+    });
+
+    afterEach(function () {
+      const closing = middleware ? [middleware.close()] : [];
+      [moesifApi, app].forEach(function (server) {
+        if (server) {
+          closing.push(
+            new Promise(function (resolve) {
+              server.close(resolve);
+            })
+          );
+        }
+      });
+      app = null;
+      middleware = null;
+      return Promise.all(closing);
+    });
+
+    it('leaves a blocked request for koa to respond to', function () {
+      let nextCalled = false;
+      let endedByMiddleware;
+      // like koa, which sends ctx.status and ctx.body once the middleware returns.
+      app = http.createServer(function (req, res) {
+        const ctx = {
+          req: req,
+          res: res,
+          state: {},
+          app: {},
+          status: 404,
+          body: undefined,
+          set: function (name, value) {
+            res.setHeader(name, value);
+          },
+        };
+        Promise.resolve(
+          middleware(ctx, function () {
+            nextCalled = true;
+          })
+        ).then(function () {
+          endedByMiddleware = res.writableEnded;
+          res.statusCode = ctx.status;
+          res.end(JSON.stringify(ctx.body));
+        });
+      });
+
+      return new Promise(function (resolve) {
+        app.listen(0, '127.0.0.1', resolve);
+      })
+        .then(function () {
+          return fetch('http://127.0.0.1:' + app.address().port + '/admin');
+        })
+        .then(function (response) {
+          assert.strictEqual(nextCalled, false);
+          assert.strictEqual(endedByMiddleware, false);
+          assert.strictEqual(response.status, 403);
+          assert.strictEqual(response.headers.get('x-blocked-by'), 'blockUser');
+          return response.json();
+        })
+        .then(function (body) {
+          assert.deepStrictEqual(body, { reason: 'blocked' });
+          return middleware.flush();
+        })
+        .then(function () {
+          assert.strictEqual(events.length, 1);
+          assert.strictEqual(events[0].blockedBy, 'blockUser');
+          assert.strictEqual(events[0].response.status, 403);
+        });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('assert');
+const maskFields = require('../lib/maskFields');
+const createOutgoingRecorder = require('../lib/outgoingRecorder');
+
+function event() {
+  return {
+    request: {
+      headers: { 'X-Api-Key': 'secret-key', 'x-api-version': '2', accept: 'application/json' },
+      body: {
+        user: { name: 'Ann', ssn: '123-45-6789' },
+        items: [
+          { id: 1, token: 'a' },
+          { id: 2, token: 'b', nested: { token: 'c' } },
+        ],
+      },
+    },
+    response: {
+      headers: {},
+      body: { data: [{ card: { token: 'd' } }], total: 2 },
+    },
+  };
+}
+
+describe('maskFields', function () {
+  it('redacts by default', function () {
+    const logData = maskFields.applyMaskFields(event(), ['request.body.user.ssn']);
+    assert.deepStrictEqual(logData.request.body.user, { name: 'Ann', ssn: '*****' });
+  });
+
+  it('hashes and drops fields', function () {
+    const logData = maskFields.applyMaskFields(event(), [
+      { path: 'request.body.user.name', action: 'hash' },
+      { path: 'request.body.items[*].token', action: 'drop' },
+    ]);
+    assert.match(logData.request.body.user.name, /^[0-9a-f]{32}$/);
+    assert.notStrictEqual(logData.request.body.user.name, 'Ann');
+    assert.deepStrictEqual(logData.request.body.items, [
+      { id: 1 },
+      { id: 2, nested: { token: 'c' } },
+    ]);
+  });
+
+  it('matches array items by index', function () {
+    const logData = maskFields.applyMaskFields(event(), [
+      { path: 'request.body.items[1]', action: 'drop' },
+    ]);
+    assert.deepStrictEqual(logData.request.body.items, [{ id: 1, token: 'a' }]);
+  });
+
+  it('matches nested keys with ** and headers case insensitively', function () {
+    const logData = maskFields.applyMaskFields(event(), [
+      'response.body.**.token',
+      'request.body.**.token',
+      'request.headers.x-api-*',
+    ]);
+    assert.deepStrictEqual(logData.response.body, {
+      data: [{ card: { token: '*****' } }],
+      total: 2,
+    });
+    assert.strictEqual(logData.request.body.items[1].nested.token, '*****');
+    assert.deepStrictEqual(logData.request.headers, {
+      'X-Api-Key': '*****',
+      'x-api-version': '*****',
+      accept: 'application/json',
+    });
+  });
+
+  it('does not modify the original bodies', function () {
+    const original = event();
+    const body = original.request.body;
+    maskFields.applyMaskFields(original, ['request.body.user.ssn']);
+    assert.strictEqual(body.user.ssn, '123-45-6789');
+  });
+
+  it('leaves bodies that are not JSON as they are', function () {
+    const logData = event();
+    logData.request.body = 'c3NuPTEyMw==';
+    maskFields.applyMaskFields(logData, ['request.body.ssn']);
+    assert.strictEqual(logData.request.body, 'c3NuPTEyMw==');
+  });
+
+  it('rejects invalid rules', function () {
+    assert.throws(function () {
+      maskFields.compileMaskFields('request.body.ssn');
+    }, /must be an array/);
+    assert.throws(function () {
+      maskFields.compileMaskFields(['body.ssn']);
+    }, /must start with one of/);
+    assert.throws(function () {
+      maskFields.compileMaskFields([{ path: 'request.body.ssn', action: 'encrypt' }]);
+    }, /must be one of redact, hash, drop/);
+    assert.throws(function () {
+      maskFields.compileMaskFields(['request.body.**']);
+    }, /must not end with/);
+  });
+
+  it('is applied to outgoing events', function () {
+    const events = [];
+    const identity = function (eventModel) {
+      return eventModel;
+    };
+    const noop = function () {};
+    const recorder = createOutgoingRecorder(
+      function (logData) {
+        events.push(logData);
+      },
+      {
+        logBody: true,
+        maskFields: [{ path: 'response.body.data[*].card', action: 'drop' }],
+        maskContent: identity,
+        identifyUser: noop,
+        identifyCompany: noop,
+        getSessionToken: noop,
+        getTags: noop,
+        getApiVersion: noop,
+        getMetadata: noop,
+        skip: function () {
+          return false;
+        },
+      },
+      noop
+    );
+    const captured = event();
+    captured.request.verb = 'GET';
+    captured.request.uri = 'https://api.example.com/';
+    recorder(captured);
+    assert.deepStrictEqual(events[0].response.body, { data: [{}], total: 2 });
+  });
+});
@@ -162,6 +162,74 @@ if (RUN_TEST) {
           });
       });
 
+      it('test moesif with gzip compressed batches', function(done) {
+        function next(req, res, next) {
+          res.end('{"bodycontent1": "bodycontent1"}');
+        }
+
+        var testHelperOptions = {
+          next: next,
+          req: {
+            body: {},
+            url: '/testgzipbatch'
+          }
+        };
+
+        loggerTestHelper(testHelperOptions, { batchCompression: 'gzip', batchCompressionThreshold: 0 })
+          .then(function(result) {
+            expect(result[0].response.body.bodycontent1).to.equal('bodycontent1');
+            done();
+          })
+          .catch(function(err) {
+            done(err);
+          });
+      });
+
+      it('test moesif with brotli compressed batches', function(done) {
+        function next(req, res, next) {
+          res.end('{"bodycontent1": "bodycontent1"}');
+        }
+
+        var testHelperOptions = {
+          next: next,
+          req: {
+            body: {},
+            url: '/testbrotlibatch'
+          }
+        };
+
+        loggerTestHelper(testHelperOptions, { batchCompression: 'br', batchCompressionThreshold: 0 })
+          .then(function(result) {
+            expect(result[0].response.body.bodycontent1).to.equal('bodycontent1');
+            done();
+          })
+          .catch(function(err) {
+            done(err);
+          });
+      });
+
+      it('test moesif with uncompressed batches under the threshold', function(done) {
+        function next(req, res, next) {
+          res.end();
+        }
+
+        var testHelperOptions = {
+          next: next,
+          req: {
+            url: '/testsmallbatch'
+          }
+        };
+
+        loggerTestHelper(testHelperOptions, { batchCompression: 'gzip', batchCompressionThreshold: 1000000 })
+          .then(function(result) {
+            expect(result[0].request).to.exist;
+            done();
+          })
+          .catch(function(err) {
+            done(err);
+          });
+      });
+
       it('test moesif with identifyUser function', function(done) {
         function next(req, res, next) {
           res.end('{"test": "test moesif with identifyUser function"}');
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const nextjsUtils = require('../lib/nextjsUtils');
+const GovernanceRulesManager = require('../lib/governanceRulesManager').GovernanceRulesManager;
+const { pluginOptions } = require('./helpers');
+
+const rules = [
+  {
+    _id: 'blockMutation',
+    type: 'regex',
+    applied_to: 'matching',
+    regex_config: [
+      {
+        conditions: [
+          { path: 'request.route', value: '^/api/graphql\\?debug' },
+          { path: 'request.body.operationName', value: '^deleteAll$' },
+        ],
+      },
+    ],
+    block: true,
+    response: { status: 403, headers: { 'X-Blocked': 'true' }, body: { reason: 'blocked' } },
+  },
+  {
+    _id: 'addHeader',
+    type: 'regex',
+    applied_to: 'matching',
+    response: { headers: { 'X-Plan': 'free', 'Cache-Control': 'no-store' } },
+  },
+];
+
+function createManager() {
+  const manager = new GovernanceRulesManager({});
+  manager._rules = rules;
+  manager._cacheRules(rules);
+  return manager;
+}
+
+function graphqlRequest(operationName) {
+  return new Request('http://localhost:3000/api/graphql?debug=1', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ operationName: operationName }),
+  });
+}
+
+describe('next.js governance', function () {
+  it('evaluates rules on the route and json body of the request', function () {
+    const manager = createManager();
+    const options = pluginOptions();
+
+    return Promise.all([
+      nextjsUtils.governNextJsRequest(graphqlRequest('deleteAll'), options, manager, {}),
+      nextjsUtils.governNextJsRequest(graphqlRequest('listItems'), options, manager, {}),
+    ]).then(function (results) {
+      assert.strictEqual(results[0].blocked_by, 'blockMutation');
+      assert.strictEqual(results[0].status, 403);
+      assert.strictEqual(results[1].blocked_by, null);
+      assert.strictEqual(results[1].headers['X-Plan'], 'free');
+    });
+  });
+
+  it('leaves the body for the handler', function () {
+    const request = graphqlRequest('listItems');
+    return nextjsUtils
+      .governNextJsRequest(request, pluginOptions(), createManager(), {})
+      .then(function () {
+        return request.json();
+      })
+      .then(function (body) {
+        assert.deepStrictEqual(body, { operationName: 'listItems' });
+      });
+  });
+
+  it('does nothing without rules', function () {
+    const manager = new GovernanceRulesManager({});
+    return nextjsUtils
+      .governNextJsRequest(graphqlRequest('deleteAll'), pluginOptions(), manager, {})
+      .then(function (result) {
+        assert.strictEqual(result, null);
+      });
+  });
+
+  it('creates the blocked response', function () {
+    const response = nextjsUtils.createNextJsBlockedResponse({
+      status: 403,
+      headers: { 'Content-Type': 'application/json', 'X-Blocked': 'true' },
+      body: { reason: 'blocked' },
+    });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.headers.get('x-blocked'), 'true');
+    return response.json().then(function (body) {
+      assert.deepStrictEqual(body, { reason: 'blocked' });
+    });
+  });
+
+  it('merges headers without overriding those of the handler', function () {
+    const response = new Response('ok', { headers: { 'Cache-Control': 'max-age=60' } });
+    nextjsUtils.mergeNextJsGovernedHeaders(response, {
+      'X-Plan': 'free',
+      'Cache-Control': 'no-store',
+    });
+    assert.strictEqual(response.headers.get('x-plan'), 'free');
+    assert.strictEqual(response.headers.get('cache-control'), 'max-age=60');
+  });
+
+  it('records blockedBy and would_block_by on the event', function () {
+    const events = [];
+    const saveEvent = function (event) {
+      events.push(event);
+    };
+    const request = new Request('http://localhost:3000/api/items');
+    const options = pluginOptions();
+
+    return Promise.all([
+      nextjsUtils.extractNextJsEventDataAndSave({
+        request,
+        requestTime: new Date().toISOString(),
+        response: new Response('{}', { status: 403 }),
+        responseTime: new Date().toISOString(),
+        options,
+        saveEvent,
+        blockedBy: 'blockMutation',
+      }),
+      nextjsUtils.extractNextJsEventDataAndSave({
+        request,
+        requestTime: new Date().toISOString(),
+        response: new Response('{}'),
+        responseTime: new Date().toISOString(),
+        options,
+        saveEvent,
+        wouldBlockBy: 'blockMutation',
+        wouldBlockStatus: 403,
+      }),
+    ]).then(function () {
+      assert.strictEqual(events[0].blockedBy, 'blockMutation');
+      assert.strictEqual(events[0].response.status, 403);
+      assert.strictEqual(events[1].blockedBy, undefined);
+      assert.strictEqual(events[1].metadata.would_block_by, 'blockMutation');
+      assert.strictEqual(events[1].metadata.would_block_status, 403);
+    });
+  });
+});
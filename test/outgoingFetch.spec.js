@@ -0,0 +1,166 @@
+const assert = require('assert');
+const http = require('http');
+const patch = require('../lib/outgoing');
+
+describe('capture outgoing fetch', function () {
+  let server;
+  let baseUrl;
+  let unpatch;
+  let recorded;
+  let onRecorded;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      const chunks = [];
+      req.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function () {
+        if (req.url === '/large') {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('x'.repeat(2000));
+          return;
+        }
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: Buffer.concat(chunks).toString() }));
+      });
+    });
+    server.listen(0, '127.0.0.1', function () {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    recorded = [];
+    onRecorded = null;
+    unpatch = patch(
+      function (event) {
+        recorded.push(event);
+        if (onRecorded) {
+          onRecorded();
+        }
+      },
+      function () {},
+      { maxOutgoingTimeout: 2000, requestMaxBodySize: 1000, responseMaxBodySize: 1000 }
+    );
+  });
+
+  afterEach(function () {
+    unpatch();
+  });
+
+  function whenRecorded() {
+    return new Promise(function (resolve) {
+      if (recorded.length > 0) {
+        resolve(recorded[0]);
+      } else {
+        onRecorded = function () {
+          resolve(recorded[0]);
+        };
+      }
+    });
+  }
+
+  it('records request and response of a fetch call', function () {
+    return fetch(baseUrl + '/items?page=2', {
+      method: 'post',
+      headers: { 'Content-Type': 'application/json', 'X-Custom': 'yes' },
+      body: JSON.stringify({ name: 'widget' }),
+    })
+      .then(function (response) {
+        return response.json();
+      })
+      .then(function (json) {
+        assert.deepStrictEqual(
+          json,
+          { received: '{"name":"widget"}' },
+          'caller still gets the body'
+        );
+        return whenRecorded();
+      })
+      .then(function (event) {
+        assert.strictEqual(event.request.verb, 'POST');
+        assert.strictEqual(event.request.uri, baseUrl + '/items?page=2');
+        assert.strictEqual(event.request.headers['x-custom'], 'yes');
+        assert.deepStrictEqual(event.request.body, { name: 'widget' });
+        assert.strictEqual(event.response.status, 201);
+        assert.strictEqual(event.response.headers['content-type'], 'application/json');
+        assert.deepStrictEqual(event.response.body, { received: '{"name":"widget"}' });
+        assert(event.response.time >= event.request.time);
+      });
+  });
+
+  it('reads the body of a Request object from a copy', function () {
+    const request = new Request(baseUrl + '/items', { method: 'PUT', body: '{"id":1}' });
+    return fetch(request)
+      .then(function (response) {
+        return response.json();
+      })
+      .then(function (json) {
+        assert.deepStrictEqual(json, { received: '{"id":1}' });
+        return whenRecorded();
+      })
+      .then(function (event) {
+        assert.strictEqual(event.request.verb, 'PUT');
+        assert.deepStrictEqual(event.request.body, { id: 1 });
+      });
+  });
+
+  it('replaces bodies over the size limit', function () {
+    return fetch(baseUrl + '/large')
+      .then(function (response) {
+        return response.text();
+      })
+      .then(function (text) {
+        assert.strictEqual(text.length, 2000);
+        return whenRecorded();
+      })
+      .then(function (event) {
+        assert.deepStrictEqual(event.response.body, {
+          msg: 'response.body.length exceeded options responseMaxBodySize of 1000',
+        });
+      });
+  });
+
+  it('records failed calls', function () {
+    return fetch('http://127.0.0.1:1/unreachable')
+      .then(
+        function () {
+          assert.fail('fetch should have failed');
+        },
+        function () {
+          return whenRecorded();
+        }
+      )
+      .then(function (event) {
+        assert.strictEqual(event.response.status, 599);
+      });
+  });
+
+  it('does not record calls to moesif', function () {
+    return fetch(baseUrl + '/items', { headers: { 'X-Moesif-Application-Id': 'app-id' } })
+      .then(function (response) {
+        return response.text();
+      })
+      .then(function () {
+        assert.strictEqual(recorded.length, 0);
+      });
+  });
+
+  it('restores the original fetch', function () {
+    const patchedFetch = globalThis.fetch;
+    unpatch();
+    assert.notStrictEqual(globalThis.fetch, patchedFetch);
+    // patch again so afterEach can unpatch.
+    unpatch = patch(
+      function () {},
+      function () {},
+      {}
+    );
+  });
+});
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const http2 = require('http2');
+const patch = require('../lib/outgoing');
+
+describe('capture outgoing http2 streams', function () {
+  let server;
+  let authority;
+  let unpatch;
+  let recorded;
+
+  before(function (done) {
+    server = http2.createServer();
+    server.on('stream', function (stream, headers) {
+      const chunks = [];
+      stream.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      stream.on('end', function () {
+        stream.respond({ ':status': 201, 'content-type': 'application/json' });
+        stream.end(
+          JSON.stringify({ path: headers[':path'], received: Buffer.concat(chunks).toString() })
+        );
+      });
+    });
+    server.listen(0, '127.0.0.1', function () {
+      authority = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  afterEach(function () {
+    unpatch();
+  });
+
+  function startCapture(moesifOptions) {
+    recorded = [];
+    unpatch = patch(
+      function (event) {
+        recorded.push(event);
+      },
+      function () {},
+      moesifOptions
+    );
+  }
+
+  // sends a request and resolves with the response body once the session is closed.
+  function sendRequest(headers, body) {
+    return new Promise(function (resolve, reject) {
+      const session = http2.connect(authority);
+      session.on('error', reject);
+      const stream = session.request(headers);
+      let responseBody = '';
+      stream.setEncoding('utf8');
+      stream.on('data', function (chunk) {
+        responseBody += chunk;
+      });
+      stream.on('close', function () {
+        session.close(function () {
+          resolve(responseBody);
+        });
+      });
+      stream.end(body);
+    });
+  }
+
+  it('records request and response of a stream', function () {
+    startCapture({ captureOutgoingHttp2: true });
+
+    return sendRequest(
+      { ':method': 'POST', ':path': '/items?page=2', 'content-type': 'application/json' },
+      '{"name":"widget"}'
+    ).then(function (responseBody) {
+      assert.deepStrictEqual(JSON.parse(responseBody), {
+        path: '/items?page=2',
+        received: '{"name":"widget"}',
+      });
+      assert.strictEqual(recorded.length, 1);
+      const event = recorded[0];
+      assert.strictEqual(event.request.verb, 'POST');
+      assert.strictEqual(event.request.uri, authority + '/items?page=2');
+      assert.strictEqual(event.request.headers['content-type'], 'application/json');
+      assert.strictEqual(event.request.headers[':path'], undefined);
+      assert.deepStrictEqual(event.request.body, { name: 'widget' });
+      assert.strictEqual(event.response.status, 201);
+      assert.strictEqual(event.response.headers['content-type'], 'application/json');
+      assert.strictEqual(event.response.headers[':status'], undefined);
+      assert.deepStrictEqual(event.response.body, {
+        path: '/items?page=2',
+        received: '{"name":"widget"}',
+      });
+    });
+  });
+
+  it('does not record calls to moesif', function () {
+    startCapture({ captureOutgoingHttp2: true });
+
+    return sendRequest({ ':path': '/', 'x-moesif-application-id': 'app-id' }).then(function () {
+      assert.strictEqual(recorded.length, 0);
+    });
+  });
+
+  it('is only enabled with captureOutgoingHttp2', function () {
+    startCapture({});
+
+    return sendRequest({ ':path': '/' }).then(function () {
+      assert.strictEqual(recorded.length, 0);
+    });
+  });
+});
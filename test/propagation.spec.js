@@ -0,0 +1,144 @@
+const assert = require('assert');
+const http = require('http');
+const patch = require('../lib/outgoing');
+const requestContext = require('../lib/requestContext');
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-01$/;
+
+describe('propagate transaction id to outgoing calls', function () {
+  let server;
+  let baseUrl;
+  let unpatch;
+
+  before(function (done) {
+    // responds with the headers it received.
+    server = http.createServer(function (req, res) {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(req.headers));
+    });
+    server.listen(0, '127.0.0.1', function () {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  afterEach(function () {
+    unpatch();
+  });
+
+  function startCapture(moesifOptions) {
+    unpatch = patch(
+      function () {},
+      function () {},
+      Object.assign({ maxOutgoingTimeout: 2000 }, moesifOptions)
+    );
+  }
+
+  function inRequest(transactionId, fn) {
+    return requestContext.runWithRequestContext({ req: {}, transactionId: transactionId }, fn);
+  }
+
+  function getHeaders(headers) {
+    return new Promise(function (resolve, reject) {
+      http
+        .get(baseUrl + '/', { headers: headers }, function (res) {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', function (chunk) {
+            body += chunk;
+          });
+          res.on('end', function () {
+            resolve(JSON.parse(body));
+          });
+        })
+        .on('error', reject);
+    });
+  }
+
+  function fetchHeaders(init) {
+    return fetch(baseUrl + '/', init).then(function (response) {
+      return response.json();
+    });
+  }
+
+  const txId = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+
+  it('adds the transaction id to http requests', function () {
+    startCapture({ propagateTransactionId: true });
+
+    return inRequest(txId, function () {
+      return getHeaders();
+    }).then(function (headers) {
+      assert.strictEqual(headers['x-moesif-transaction-id'], txId);
+      assert.strictEqual(headers.traceparent, undefined);
+    });
+  });
+
+  it('adds the transaction id and traceparent to fetch calls', function () {
+    startCapture({ propagateTransactionId: true, propagateTraceparent: true });
+
+    return inRequest(txId, function () {
+      return fetchHeaders({ headers: { 'X-Custom': 'yes' } });
+    }).then(function (headers) {
+      assert.strictEqual(headers['x-moesif-transaction-id'], txId);
+      assert.strictEqual(headers['x-custom'], 'yes');
+      const match = TRACEPARENT_PATTERN.exec(headers.traceparent);
+      assert(match, 'invalid traceparent ' + headers.traceparent);
+      assert.strictEqual(match[1], txId.replace(/-/g, ''));
+    });
+  });
+
+  it('uses the same trace id and new span ids for calls of a request', function () {
+    startCapture({ propagateTraceparent: true });
+
+    return inRequest('not-a-uuid', function () {
+      return Promise.all([getHeaders(), fetchHeaders()]);
+    }).then(function (results) {
+      assert.strictEqual(results[0]['x-moesif-transaction-id'], undefined);
+      const first = TRACEPARENT_PATTERN.exec(results[0].traceparent);
+      const second = TRACEPARENT_PATTERN.exec(results[1].traceparent);
+      assert(first && second);
+      assert.strictEqual(first[1], second[1]);
+      assert.notStrictEqual(first[2], second[2]);
+    });
+  });
+
+  it('keeps headers set by the caller', function () {
+    startCapture({ propagateTransactionId: true, propagateTraceparent: true });
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    return inRequest(txId, function () {
+      return Promise.all([
+        getHeaders({ 'X-Moesif-Transaction-Id': 'own-id', traceparent: traceparent }),
+        fetchHeaders({
+          headers: { 'X-Moesif-Transaction-Id': 'own-id', traceparent: traceparent },
+        }),
+      ]);
+    }).then(function (results) {
+      results.forEach(function (headers) {
+        assert.strictEqual(headers['x-moesif-transaction-id'], 'own-id');
+        assert.strictEqual(headers.traceparent, traceparent);
+      });
+    });
+  });
+
+  it('adds nothing outside of an incoming request or when not enabled', function () {
+    startCapture({});
+
+    return Promise.all([
+      getHeaders(),
+      inRequest(txId, function () {
+        return fetchHeaders();
+      }),
+    ]).then(function (results) {
+      results.forEach(function (headers) {
+        assert.strictEqual(headers['x-moesif-transaction-id'], undefined);
+        assert.strictEqual(headers.traceparent, undefined);
+      });
+    });
+  });
+});
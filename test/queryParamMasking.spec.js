@@ -0,0 +1,73 @@
+const assert = require('assert');
+const queryParamMasking = require('../lib/queryParamMasking');
+const createOutgoingRecorder = require('../lib/outgoingRecorder');
+
+describe('query param masking', function () {
+  const defaults = queryParamMasking.DEFAULT_MASKED_QUERY_PARAMS;
+
+  it('redacts credentials by default', function () {
+    assert.strictEqual(
+      queryParamMasking.maskQueryParams(
+        'https://api.example.com/items?api_key=abc&access_token=def&page=2&code=x&zipcode=1#top',
+        defaults
+      ),
+      'https://api.example.com/items?api_key=*****&access_token=*****&page=2&code=*****&zipcode=1#top'
+    );
+  });
+
+  it('matches names case insensitively and by regular expression', function () {
+    assert.strictEqual(
+      queryParamMasking.maskQueryParams('/search?Email=a%40b.c&q=x&sid_1=y&flag', [
+        'email',
+        /^sid_/,
+      ]),
+      '/search?Email=*****&q=x&sid_1=*****&flag'
+    );
+  });
+
+  it('keeps uris without a query string', function () {
+    assert.strictEqual(queryParamMasking.maskQueryParams('/items', defaults), '/items');
+  });
+
+  it('can be disabled', function () {
+    const logData = { request: { uri: '/items?token=abc' } };
+    queryParamMasking.maskEventQueryParams(logData, { maskQueryParams: [] });
+    assert.strictEqual(logData.request.uri, '/items?token=abc');
+  });
+
+  it('rejects invalid patterns', function () {
+    assert.throws(function () {
+      queryParamMasking.ensureValidMaskQueryParams({ maskQueryParams: 'token' });
+    }, /maskQueryParams must be an array/);
+  });
+
+  it('is applied to outgoing events', function () {
+    const events = [];
+    const noop = function () {};
+    const recorder = createOutgoingRecorder(
+      function (logData) {
+        events.push(logData);
+      },
+      {
+        maskContent: function (logData) {
+          return logData;
+        },
+        identifyUser: noop,
+        identifyCompany: noop,
+        getSessionToken: noop,
+        getTags: noop,
+        getApiVersion: noop,
+        getMetadata: noop,
+        skip: function () {
+          return false;
+        },
+      },
+      noop
+    );
+    recorder({
+      request: { verb: 'GET', uri: 'https://api.example.com/?X-Amz-Signature=abc', headers: {} },
+      response: { status: 200, headers: {} },
+    });
+    assert.strictEqual(events[0].request.uri, 'https://api.example.com/?X-Amz-Signature=*****');
+  });
+});
@@ -0,0 +1,231 @@
+const assert = require('assert');
+const rateLimit = require('../lib/rateLimit');
+const GovernanceRulesManager = require('../lib/governanceRulesManager').GovernanceRulesManager;
+
+function compileRule(rule) {
+  return rateLimit.compileRateLimitRules([
+    Object.assign({ id: 'rule', key: 'userId', limit: 2, windowMs: 1000 }, rule),
+  ])[0];
+}
+
+// store that never expires, so the tests control time only through now.
+function createTestStore() {
+  const states = {};
+  return {
+    get: function (key) {
+      return states[key];
+    },
+    set: function (key, state) {
+      states[key] = state;
+    },
+  };
+}
+
+describe('rate limits', function () {
+  describe('fixed-window', function () {
+    it('allows limit requests per window', function () {
+      const rule = compileRule({ algorithm: 'fixed-window' });
+      const store = createTestStore();
+
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u1', store, 10000).remaining, 1);
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u1', store, 10100).remaining, 0);
+      const blocked = rateLimit.hitRateLimit(rule, 'u1', store, 10200);
+      assert.strictEqual(blocked.allowed, false);
+      assert.strictEqual(blocked.resetAt, 11000);
+      assert.strictEqual(blocked.retryAfterMs, 800);
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u2', store, 10200).allowed, true);
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u1', store, 11000).allowed, true);
+    });
+  });
+
+  describe('sliding-window', function () {
+    it('counts the overlapping part of the previous window', function () {
+      const rule = compileRule({ algorithm: 'sliding-window' });
+      const store = createTestStore();
+
+      rateLimit.hitRateLimit(rule, 'u1', store, 10900);
+      rateLimit.hitRateLimit(rule, 'u1', store, 10950);
+      // a fixed window would allow two more right after the edge.
+      const blocked = rateLimit.hitRateLimit(rule, 'u1', store, 11100);
+      assert.strictEqual(blocked.allowed, false);
+      // allowed once the previous window weighs at most 1 of 2.
+      assert.strictEqual(blocked.retryAfterMs, 400);
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u1', store, 11500).allowed, true);
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u1', store, 11600).allowed, false);
+    });
+  });
+
+  describe('token-bucket', function () {
+    it('refills tokens over the window', function () {
+      const rule = compileRule({ algorithm: 'token-bucket' });
+      const store = createTestStore();
+
+      rateLimit.hitRateLimit(rule, 'u1', store, 10000);
+      rateLimit.hitRateLimit(rule, 'u1', store, 10000);
+      const blocked = rateLimit.hitRateLimit(rule, 'u1', store, 10100);
+      assert.strictEqual(blocked.allowed, false);
+      assert.strictEqual(blocked.retryAfterMs, 400);
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u1', store, 10500).allowed, true);
+      assert.strictEqual(rateLimit.hitRateLimit(rule, 'u1', store, 10600).allowed, false);
+    });
+  });
+
+  it('keeps counters in memory until they expire', function () {
+    const store = rateLimit.createMemoryStore();
+    store.set('a', { count: 1 }, 60000);
+    store.set('b', { count: 1 }, -1);
+    assert.deepStrictEqual(store.get('a'), { count: 1 });
+    assert.strictEqual(store.get('b'), undefined);
+  });
+
+  it('rejects invalid rules and stores', function () {
+    assert.throws(() => compileRule({ key: 'session' }), /key of rule must be one of/);
+    assert.throws(() => compileRule({ key: 'header' }), /must have the header/);
+    assert.throws(() => compileRule({ algorithm: 'leaky' }), /algorithm of rule/);
+    assert.throws(() => compileRule({ limit: 0 }), /limit of rule/);
+    assert.throws(() => compileRule({ windowMs: '1m' }), /windowMs of rule/);
+    assert.throws(() => rateLimit.ensureValidRateLimitStore({ get() {} }), /rateLimitStore/);
+  });
+
+  it('gives the rate limit headers', function () {
+    const headers = rateLimit.getRateLimitHeaders({
+      allowed: false,
+      limit: 2,
+      remaining: 0,
+      resetAt: 10500,
+      retryAfterMs: 200,
+    });
+    assert.deepStrictEqual(headers, {
+      'X-RateLimit-Limit': '2',
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': '11',
+      'Retry-After': '1',
+    });
+  });
+
+  describe('in governance', function () {
+    function governRequest(manager, userId, request) {
+      return manager.governRequest(
+        {},
+        userId,
+        undefined,
+        Object.assign({ method: 'GET', url: '/api', headers: {} }, request)
+      );
+    }
+
+    it('blocks requests over the limit with 429', function () {
+      const manager = new GovernanceRulesManager({});
+      manager.setRateLimitRules([{ id: 'per-user', key: 'userId', limit: 1, windowMs: 60000 }]);
+      assert.strictEqual(manager.hasRules(), true);
+
+      const allowed = governRequest(manager, 'u1');
+      assert.strictEqual(allowed.blocked_by, null);
+      assert.strictEqual(allowed.headers['X-RateLimit-Limit'], '1');
+      assert.strictEqual(allowed.headers['X-RateLimit-Remaining'], '0');
+
+      const blocked = governRequest(manager, 'u1');
+      assert.strictEqual(blocked.blocked_by, 'per-user');
+      assert.strictEqual(blocked.status, 429);
+      assert.strictEqual(blocked.body.error, 'Too Many Requests');
+      assert.ok(Number(blocked.headers['Retry-After']) >= 1);
+
+      assert.strictEqual(governRequest(manager, undefined).blocked_by, null);
+    });
+
+    it('counts by header, only for matching requests', function () {
+      const manager = new GovernanceRulesManager({});
+      manager.setRateLimitRules([
+        {
+          id: 'per-key',
+          key: 'header',
+          header: 'X-Api-Key',
+          limit: 1,
+          windowMs: 60000,
+          regexConfig: [{ conditions: [{ path: 'request.route', value: '^/api' }] }],
+        },
+      ]);
+      const request = { headers: { 'x-api-key': 'k1' } };
+
+      assert.strictEqual(governRequest(manager, null, request).blocked_by, null);
+      assert.strictEqual(governRequest(manager, null, request).blocked_by, 'per-key');
+      assert.strictEqual(
+        governRequest(manager, null, Object.assign({ url: '/health' }, request)).blocked_by,
+        null
+      );
+      assert.strictEqual(
+        governRequest(manager, null, { headers: { 'x-api-key': 'k2' } }).blocked_by,
+        null
+      );
+    });
+
+    it('uses a custom store', function () {
+      const store = createTestStore();
+      const manager = new GovernanceRulesManager({});
+      manager.setRateLimitRules([{ id: 'per-ip', key: 'ip', limit: 5, windowMs: 60000 }], store);
+      governRequest(manager, null, { socket: { remoteAddress: '::ffff:10.0.0.1' } });
+      assert.strictEqual(store.get('moesif-rate-limit:per-ip:10.0.0.1').count, 1);
+    });
+
+    it('counts by the socket address, whatever X-Forwarded-For says', function () {
+      const manager = new GovernanceRulesManager({});
+      manager.setRateLimitRules([{ id: 'per-ip', key: 'ip', limit: 1, windowMs: 60000 }]);
+      const spoofed = function (forwardedFor) {
+        return {
+          socket: { remoteAddress: '203.0.113.7' },
+          headers: { 'x-forwarded-for': forwardedFor },
+        };
+      };
+
+      assert.strictEqual(governRequest(manager, null, spoofed('10.0.0.1')).blocked_by, null);
+      assert.strictEqual(governRequest(manager, null, spoofed('10.0.0.2')).blocked_by, 'per-ip');
+    });
+
+    it('counts by X-Forwarded-For behind trusted proxies', function () {
+      const manager = new GovernanceRulesManager({});
+      manager.setRateLimitRules(
+        [{ id: 'per-ip', key: 'ip', limit: 1, windowMs: 60000 }],
+        undefined,
+        ['10.0.0.2']
+      );
+      const proxied = function (forwardedFor) {
+        return {
+          socket: { remoteAddress: '10.0.0.2' },
+          headers: { 'x-forwarded-for': forwardedFor },
+        };
+      };
+
+      assert.strictEqual(governRequest(manager, null, proxied('198.51.100.1')).blocked_by, null);
+      // the client can prepend any address, but not the one the proxy appends.
+      assert.strictEqual(
+        governRequest(manager, null, proxied('1.1.1.1, 198.51.100.1')).blocked_by,
+        'per-ip'
+      );
+      assert.strictEqual(governRequest(manager, null, proxied('198.51.100.2')).blocked_by, null);
+    });
+  });
+
+  describe('getClientAddress', function () {
+    it('only trusts X-Forwarded-For as configured', function () {
+      const forwardedFor = '1.1.1.1, 198.51.100.1, 10.0.0.3';
+      assert.strictEqual(rateLimit.getClientAddress('10.0.0.2', forwardedFor, false), '10.0.0.2');
+      assert.strictEqual(rateLimit.getClientAddress('10.0.0.2', forwardedFor, true), '1.1.1.1');
+      assert.strictEqual(
+        rateLimit.getClientAddress('10.0.0.2', forwardedFor, ['10.0.0.2', '10.0.0.3']),
+        '198.51.100.1'
+      );
+      // requests that do not come from a trusted proxy.
+      assert.strictEqual(
+        rateLimit.getClientAddress('203.0.113.7', forwardedFor, ['10.0.0.2', '10.0.0.3']),
+        '203.0.113.7'
+      );
+      assert.strictEqual(rateLimit.getClientAddress(undefined, undefined, true), undefined);
+    });
+
+    it('rejects invalid rateLimitTrustProxy options', function () {
+      assert.throws(() => rateLimit.ensureValidTrustProxy('10.0.0.2'), /rateLimitTrustProxy/);
+      assert.throws(() => rateLimit.ensureValidTrustProxy([10]), /rateLimitTrustProxy/);
+      rateLimit.ensureValidTrustProxy(['10.0.0.2']);
+      rateLimit.ensureValidTrustProxy(true);
+    });
+  });
+});
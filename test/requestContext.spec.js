@@ -0,0 +1,234 @@
+const assert = require('assert');
+const http = require('http');
+const Fastify = require('fastify');
+const Hapi = require('@hapi/hapi');
+const createFastifyPlugin = require('../lib/fastifyPlugin');
+const createHapiPlugin = require('../lib/hapiPlugin');
+const patch = require('../lib/outgoing');
+const createOutgoingRecorder = require('../lib/outgoingRecorder');
+const requestContext = require('../lib/requestContext');
+const { pluginOptions, noGovernance } = require('./helpers');
+
+// the user, company and metadata outgoing calls get from the request that made them.
+const recorderDefaults = {
+  logBody: true,
+  noAutoHideSensitive: true,
+  identifyCompany: function (req) {
+    return req.headers['x-company'];
+  },
+  getMetadata: function (req) {
+    return req._mo_mocked ? undefined : { tenant: 'acme' };
+  },
+};
+
+function recorderOptions(overrides) {
+  return pluginOptions(recorderDefaults, overrides);
+}
+
+function capturedData() {
+  return {
+    request: { verb: 'GET', uri: 'https://api.example.com/items', headers: {} },
+    response: { status: 200, headers: {} },
+  };
+}
+
+describe('request context of outgoing calls', function () {
+  const incomingReq = { headers: { 'x-company': 'company-1' }, user: { id: 'user-1' } };
+
+  it('inherits identity and metadata of the incoming request', function () {
+    const events = [];
+    const recorder = createOutgoingRecorder(
+      function (event) {
+        events.push(event);
+      },
+      recorderOptions(),
+      function () {}
+    );
+
+    recorder(capturedData(), { req: incomingReq, transactionId: 'tx-1' });
+
+    assert.strictEqual(events[0].userId, 'user-1');
+    assert.strictEqual(events[0].companyId, 'company-1');
+    assert.deepStrictEqual(events[0].metadata, {
+      tenant: 'acme',
+      parent_transaction_id: 'tx-1',
+    });
+  });
+
+  it('keeps what the options identify for the outgoing call', function () {
+    const events = [];
+    const recorder = createOutgoingRecorder(
+      function (event) {
+        events.push(event);
+      },
+      recorderOptions({
+        identifyUser: function (req) {
+          return req._mo_mocked ? 'outgoing-user' : 'incoming-user';
+        },
+      }),
+      function () {}
+    );
+
+    recorder(capturedData(), { req: incomingReq });
+
+    assert.strictEqual(events[0].userId, 'outgoing-user');
+    assert.strictEqual(events[0].companyId, 'company-1');
+    assert.strictEqual(events[0].metadata.parent_transaction_id, undefined);
+  });
+
+  it('leaves calls outside of an incoming request as they are', function () {
+    const events = [];
+    const recorder = createOutgoingRecorder(
+      function (event) {
+        events.push(event);
+      },
+      recorderOptions(),
+      function () {}
+    );
+
+    recorder(capturedData());
+
+    assert.strictEqual(events[0].userId, undefined);
+    assert.strictEqual(events[0].metadata, undefined);
+  });
+
+  describe('captured calls', function () {
+    let server;
+    let baseUrl;
+    let unpatch;
+    let recorded;
+
+    before(function (done) {
+      server = http.createServer(function (req, res) {
+        res.end('ok');
+      });
+      server.listen(0, '127.0.0.1', function () {
+        baseUrl = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+    beforeEach(function () {
+      recorded = [];
+      unpatch = patch(
+        function (event, parentContext) {
+          recorded.push(parentContext);
+        },
+        function () {},
+        { maxOutgoingTimeout: 2000 }
+      );
+    });
+
+    afterEach(function () {
+      unpatch();
+    });
+
+    function get(url) {
+      return new Promise(function (resolve, reject) {
+        http
+          .get(url, function (res) {
+            res.resume();
+            res.on('end', resolve);
+          })
+          .on('error', reject);
+      });
+    }
+
+    // outgoing calls of a handler, recorded as the middleware does.
+    function recordOutgoing(events) {
+      unpatch();
+      unpatch = patch(
+        createOutgoingRecorder(
+          function (event) {
+            events.push(event);
+          },
+          recorderOptions(),
+          function () {}
+        ),
+        function () {},
+        { maxOutgoingTimeout: 2000 }
+      );
+    }
+
+    it('attributes calls made in a fastify handler to its request', function () {
+      const events = [];
+      recordOutgoing(events);
+      const fastify = Fastify();
+      fastify.register(createFastifyPlugin(recorderOptions(), function () {}, noGovernance));
+      fastify.get('/incoming', function () {
+        return get(baseUrl + '/from-fastify').then(function () {
+          return 'done';
+        });
+      });
+
+      return fastify
+        .inject({
+          method: 'GET',
+          url: '/incoming',
+          headers: { 'x-moesif-transaction-id': 'tx-fastify', 'x-company': 'company-1' },
+        })
+        .then(function (response) {
+          assert.strictEqual(response.statusCode, 200);
+          assert.strictEqual(events.length, 1);
+          assert.strictEqual(events[0].request.uri, baseUrl + '/from-fastify');
+          assert.strictEqual(events[0].metadata.parent_transaction_id, 'tx-fastify');
+          assert.strictEqual(events[0].companyId, 'company-1');
+        })
+        .finally(function () {
+          return fastify.close();
+        });
+    });
+
+    it('attributes calls made in a hapi handler to its request', function () {
+      const events = [];
+      recordOutgoing(events);
+      const hapi = Hapi.server();
+      hapi.route({
+        method: 'GET',
+        path: '/incoming',
+        handler: function () {
+          return fetch(baseUrl + '/from-hapi').then(function (response) {
+            return response.text();
+          });
+        },
+      });
+
+      return hapi
+        .register(createHapiPlugin(recorderOptions(), function () {}, noGovernance))
+        .then(function () {
+          return hapi.inject({
+            method: 'GET',
+            url: '/incoming',
+            headers: { 'x-moesif-transaction-id': 'tx-hapi', 'x-company': 'company-1' },
+          });
+        })
+        .then(function (response) {
+          assert.strictEqual(response.statusCode, 200);
+          assert.strictEqual(events.length, 1);
+          assert.strictEqual(events[0].request.uri, baseUrl + '/from-hapi');
+          assert.strictEqual(events[0].metadata.parent_transaction_id, 'tx-hapi');
+          assert.strictEqual(events[0].companyId, 'company-1');
+        });
+    });
+
+    it('passes the context of the incoming request to the recorder', function () {
+      const context = { req: incomingReq, transactionId: 'tx-2' };
+      return requestContext
+        .runWithRequestContext(context, function () {
+          return get(baseUrl + '/a');
+        })
+        .then(function () {
+          return get(baseUrl + '/b');
+        })
+        .then(function () {
+          assert.strictEqual(recorded.length, 2);
+          assert.strictEqual(recorded[0], context);
+          assert.strictEqual(recorded[1], undefined);
+        });
+    });
+  });
+});
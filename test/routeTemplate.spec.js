@@ -0,0 +1,134 @@
+const assert = require('assert');
+const http = require('http');
+const express = require('express');
+const Fastify = require('fastify');
+const Hapi = require('@hapi/hapi');
+const createFastifyPlugin = require('../lib/fastifyPlugin');
+const createHapiPlugin = require('../lib/hapiPlugin');
+const routeTemplate = require('../lib/routeTemplate');
+const { pluginOptions, noGovernance } = require('./helpers');
+
+describe('route template', function () {
+  describe('normalizeIds', function () {
+    it('replaces numeric, uuid and hex segments', function () {
+      assert.strictEqual(
+        routeTemplate.normalizeIds('/users/123/orders/550e8400-e29b-41d4-a716-446655440000?x=1'),
+        '/users/:id/orders/:id'
+      );
+      assert.strictEqual(
+        routeTemplate.normalizeIds('https://api.example.com/items/507f1f77bcf86cd799439011'),
+        '/items/:id'
+      );
+    });
+
+    it('keeps other segments', function () {
+      assert.strictEqual(routeTemplate.normalizeIds('/v2/decade/abc123'), '/v2/decade/abc123');
+    });
+  });
+
+  describe('getRouteTemplate', function () {
+    it('uses the route set by an integration', function () {
+      const req = { _moRouteTemplate: '/users/:id', url: '/users/1' };
+      assert.strictEqual(routeTemplate.getRouteTemplate(req, {}), '/users/:id');
+    });
+
+    it('falls back to normalized ids only with normalizeRouteIds', function () {
+      const req = { url: '/users/1' };
+      assert.strictEqual(routeTemplate.getRouteTemplate(req, {}), undefined);
+      assert.strictEqual(
+        routeTemplate.getRouteTemplate(req, { normalizeRouteIds: true }),
+        '/users/:id'
+      );
+    });
+
+    it('reads the route matched by express', function () {
+      const app = express();
+      const router = express.Router();
+      router.get('/:userId/orders/:orderId', function (req, res) {
+        res.send(routeTemplate.getRouteTemplate(req, {}));
+      });
+      app.use('/users', router);
+      const server = http.createServer(app);
+
+      return new Promise(function (resolve, reject) {
+        server.listen(0, '127.0.0.1', function () {
+          const url = 'http://127.0.0.1:' + server.address().port + '/users/1/orders/2';
+          fetch(url)
+            .then(function (response) {
+              return response.text();
+            })
+            .then(resolve, reject);
+        });
+      }).then(
+        function (template) {
+          server.close();
+          assert.strictEqual(template, '/users/:userId/orders/:orderId');
+        },
+        function (err) {
+          server.close();
+          throw err;
+        }
+      );
+    });
+  });
+
+  describe('plugins', function () {
+    it('adds the fastify route to the event metadata', function () {
+      const events = [];
+      const fastify = Fastify();
+      fastify.register(
+        createFastifyPlugin(
+          pluginOptions(),
+          function (event) {
+            events.push(event);
+          },
+          noGovernance
+        )
+      );
+      fastify.get('/users/:id', function () {
+        return {};
+      });
+
+      return fastify
+        .inject({ method: 'GET', url: '/users/7' })
+        .then(function () {
+          assert.deepStrictEqual(events[0].metadata, { route_template: '/users/:id' });
+        })
+        .finally(function () {
+          return fastify.close();
+        });
+    });
+
+    it('adds the hapi route to the event metadata', function () {
+      const events = [];
+      const server = Hapi.server();
+      return server
+        .register(
+          createHapiPlugin(
+            pluginOptions({ normalizeRouteIds: true }),
+            function (event) {
+              events.push(event);
+            },
+            noGovernance
+          )
+        )
+        .then(function () {
+          server.route({
+            method: 'GET',
+            path: '/users/{id}',
+            handler: function () {
+              return 'ok';
+            },
+          });
+          return server.inject('/users/7');
+        })
+        .then(function () {
+          return server.inject('/missing/8');
+        })
+        .then(function () {
+          assert.strictEqual(events[0].metadata.route_template, '/users/{id}');
+          assert.strictEqual(events[1].metadata.route_template, '/missing/:id');
+        });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createSpool = require('../lib/spool');
+
+describe('spool', function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moesif-spool-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function spoolFiles() {
+    return fs.readdirSync(dir).filter(function (fileName) {
+      return fileName.endsWith('.jsonl');
+    });
+  }
+
+  it('appends events as json lines and replays them oldest first', function () {
+    const spool = createSpool({ dir: dir });
+    const replayed = [];
+
+    return spool
+      .append([{ id: 1 }, { id: 2 }])
+      .then(function () {
+        return spool.append([{ id: 3 }]);
+      })
+      .then(function () {
+        assert.strictEqual(spoolFiles().length, 1, 'appends share the current segment');
+        return spool.replay(function (events) {
+          replayed.push.apply(replayed, events);
+        });
+      })
+      .then(function (replayedCount) {
+        assert.strictEqual(replayedCount, 3);
+        assert.deepStrictEqual(replayed, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+        assert.strictEqual(spoolFiles().length, 0, 'replayed files are deleted');
+      });
+  });
+
+  it('replays files written by a previous process', function () {
+    fs.writeFileSync(
+      path.join(dir, 'moesif-events-1000-1-1.jsonl'),
+      '{"id":"old"}\n{"id":"partial'
+    );
+    const spool = createSpool({ dir: dir });
+    const replayed = [];
+
+    return spool
+      .replay(function (events) {
+        replayed.push.apply(replayed, events);
+      })
+      .then(function () {
+        assert.deepStrictEqual(replayed, [{ id: 'old' }], 'unreadable lines are skipped');
+      });
+  });
+
+  it('keeps the file when the handler stops the replay', function () {
+    const spool = createSpool({ dir: dir });
+
+    return spool
+      .append([{ id: 1 }])
+      .then(function () {
+        return spool.replay(function () {
+          return false;
+        });
+      })
+      .then(function (replayedCount) {
+        assert.strictEqual(replayedCount, 0);
+        assert.strictEqual(spoolFiles().length, 1);
+      });
+  });
+
+  it('keeps the events the handler did not take', function () {
+    const spool = createSpool({ dir: dir });
+    const replayed = [];
+
+    return spool
+      .append([{ id: 1 }, { id: 2 }, { id: 3 }])
+      .then(function () {
+        return spool.replay(function (events) {
+          replayed.push.apply(replayed, events.slice(0, 2));
+          return 2;
+        });
+      })
+      .then(function (replayedCount) {
+        assert.strictEqual(replayedCount, 2);
+        return spool.replay(function (events) {
+          replayed.push.apply(replayed, events);
+        });
+      })
+      .then(function () {
+        assert.deepStrictEqual(replayed, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+        assert.strictEqual(spoolFiles().length, 0);
+      });
+  });
+
+  it('replays files claimed by a process that is gone', function () {
+    const exitedPid = childProcess.spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(
+      path.join(dir, 'moesif-events-1000-1-1.jsonl.' + exitedPid + '.replaying'),
+      '{"id":"crashed"}\n'
+    );
+    fs.writeFileSync(path.join(dir, 'moesif-events-1000-1-2.jsonl.replaying'), '{"id":"older"}\n');
+    // claimed by a process that is still running.
+    const claimedPath = path.join(
+      dir,
+      'moesif-events-1000-1-3.jsonl.' + process.ppid + '.replaying'
+    );
+    fs.writeFileSync(claimedPath, '{"id":"claimed"}\n');
+    const spool = createSpool({ dir: dir });
+    const replayed = [];
+
+    return spool
+      .replay(function (events) {
+        replayed.push.apply(replayed, events);
+      })
+      .then(function () {
+        assert.deepStrictEqual(replayed, [{ id: 'crashed' }, { id: 'older' }]);
+        assert(fs.existsSync(claimedPath), 'files claimed by running processes are left alone');
+      });
+  });
+
+  it('deletes the oldest files once over maxBytes', function () {
+    fs.writeFileSync(path.join(dir, 'moesif-events-1000-1-1.jsonl'), '{"id":"oldest"}\n');
+    const spool = createSpool({ dir: dir, maxBytes: 30 });
+    const replayed = [];
+
+    return spool
+      .append([{ id: 'newest' }])
+      .then(function () {
+        return spool.replay(function (events) {
+          replayed.push.apply(replayed, events);
+        });
+      })
+      .then(function () {
+        assert.deepStrictEqual(replayed, [{ id: 'newest' }]);
+      });
+  });
+
+  it('deletes files older than maxAge', function () {
+    const oldFile = path.join(dir, 'moesif-events-1000-1-1.jsonl');
+    fs.writeFileSync(oldFile, '{"id":"expired"}\n');
+    const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(oldFile, anHourAgo, anHourAgo);
+    const spool = createSpool({ dir: dir, maxAge: 60 * 1000 });
+
+    return spool.append([{ id: 'fresh' }]).then(function () {
+      assert(!fs.existsSync(oldFile), 'expired spool file should be deleted');
+      assert.strictEqual(spoolFiles().length, 1);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const assert = require('assert');
+const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const api = require('@opentelemetry/api');
+const Fastify = require('fastify');
+const createFastifyPlugin = require('../lib/fastifyPlugin');
+const createOutgoingRecorder = require('../lib/outgoingRecorder');
+const patch = require('../lib/outgoing');
+const traceContext = require('../lib/traceContext');
+const { pluginOptions } = require('./helpers');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const PARENT_ID = 'b7ad6b7169203331';
+const TRACEPARENT = '00-' + TRACE_ID + '-' + PARENT_ID + '-01';
+
+// a minimal tracer and context manager, in place of an OpenTelemetry SDK.
+function registerTracer() {
+  const spans = [];
+  const storage = new AsyncLocalStorage();
+  api.context.setGlobalContextManager({
+    active: function () {
+      return storage.getStore() || api.ROOT_CONTEXT;
+    },
+    with: function (context, fn, thisArg, ...args) {
+      return storage.run(context, fn.bind(thisArg), ...args);
+    },
+    bind: function (context, target) {
+      return target;
+    },
+    enable: function () {
+      return this;
+    },
+    disable: function () {
+      return this;
+    },
+  });
+  api.trace.setGlobalTracerProvider({
+    getTracer: function () {
+      return {
+        startSpan: function (name, spanOptions) {
+          const span = {
+            name: name,
+            kind: spanOptions.kind,
+            attributes: {},
+            ended: false,
+            spanContext: function () {
+              return { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16), traceFlags: 1 };
+            },
+            setAttribute: function (key, value) {
+              span.attributes[key] = value;
+            },
+            setStatus: function (status) {
+              span.status = status;
+            },
+            end: function () {
+              span.ended = true;
+            },
+          };
+          spans.push(span);
+          return span;
+        },
+      };
+    },
+  });
+  return spans;
+}
+
+describe('trace context', function () {
+  describe('parseTraceparent', function () {
+    it('parses valid headers', function () {
+      assert.deepStrictEqual(traceContext.parseTraceparent(TRACEPARENT), {
+        traceId: TRACE_ID,
+        spanId: PARENT_ID,
+        traceFlags: '01',
+      });
+    });
+
+    it('rejects invalid headers', function () {
+      [
+        undefined,
+        'garbage',
+        'ff-' + TRACE_ID + '-' + PARENT_ID + '-01',
+        '00-' + '0'.repeat(32) + '-' + PARENT_ID + '-01',
+        '00-' + TRACE_ID + '-' + '0'.repeat(16) + '-01',
+        TRACEPARENT + '-extra',
+      ].forEach(function (value) {
+        assert.strictEqual(traceContext.parseTraceparent(value), null, value);
+      });
+    });
+  });
+
+  describe('startIncomingTrace', function () {
+    function noHeaders() {
+      return undefined;
+    }
+
+    afterEach(function () {
+      api.trace.disable();
+      api.context.disable();
+    });
+
+    it('generates ids when no tracer is registered', function () {
+      const incomingTrace = traceContext.startIncomingTrace(noHeaders, 'GET', true);
+      assert.match(incomingTrace.trace.traceId, /^[0-9a-f]{32}$/);
+      assert.match(incomingTrace.trace.spanId, /^[0-9a-f]{16}$/);
+    });
+
+    it('has no trace without startSpan', function () {
+      assert.strictEqual(traceContext.startIncomingTrace(noHeaders, 'GET').trace, null);
+    });
+
+    it('starts an active span with a registered tracer', function () {
+      const spans = registerTracer();
+      const incomingTrace = traceContext.startIncomingTrace(noHeaders, 'GET', true);
+
+      assert.strictEqual(incomingTrace.trace.traceId, 'a'.repeat(32));
+      const activeTrace = incomingTrace.run(function () {
+        return traceContext.getActiveTrace();
+      });
+      assert.strictEqual(activeTrace.spanId, 'b'.repeat(16));
+      assert.strictEqual(spans[0].kind, api.SpanKind.SERVER);
+
+      incomingTrace.end(503);
+      assert(spans[0].ended);
+      assert.strictEqual(spans[0].status.code, api.SpanStatusCode.ERROR);
+      assert.strictEqual(spans[0].attributes['http.response.status_code'], 503);
+    });
+
+    it('prefers the active span to the headers', function () {
+      registerTracer();
+      const span = api.trace.getTracer('test').startSpan('parent', {});
+      const context = api.trace.setSpan(api.context.active(), span);
+
+      const trace = api.context.with(context, function () {
+        return traceContext.getTrace(function () {
+          return TRACEPARENT;
+        });
+      });
+      assert.strictEqual(trace.traceId, 'a'.repeat(32));
+    });
+  });
+
+  describe('events', function () {
+    let fastify;
+    let downstream;
+    let downstreamUrl;
+    let unpatch;
+
+    before(function (done) {
+      // responds with the traceparent it received.
+      downstream = http.createServer(function (req, res) {
+        res.end(req.headers.traceparent || '');
+      });
+      downstream.listen(0, '127.0.0.1', function () {
+        downstreamUrl = 'http://127.0.0.1:' + downstream.address().port;
+        done();
+      });
+    });
+
+    after(function (done) {
+      downstream.close(done);
+    });
+
+    afterEach(function () {
+      unpatch();
+      return fastify.close();
+    });
+
+    it('links incoming and outgoing events to the trace of the request', function () {
+      const options = pluginOptions({ propagateTraceparent: true, maxOutgoingTimeout: 2000 });
+      const events = [];
+      let bothSaved;
+      const saved = new Promise(function (resolve) {
+        bothSaved = resolve;
+      });
+      const saveEvent = function (event) {
+        events.push(event);
+        if (events.length === 2) {
+          bothSaved();
+        }
+      };
+      unpatch = patch(
+        createOutgoingRecorder(saveEvent, options, function () {}),
+        function () {},
+        options
+      );
+
+      fastify = Fastify();
+      fastify.register(
+        createFastifyPlugin(options, saveEvent, function () {
+          return null;
+        })
+      );
+      fastify.get('/', function () {
+        return fetch(downstreamUrl).then(function (response) {
+          return response.text();
+        });
+      });
+
+      return fastify
+        .inject({ method: 'GET', url: '/', headers: { traceparent: TRACEPARENT } })
+        .then(function (response) {
+          return saved.then(function () {
+            return response;
+          });
+        })
+        .then(function (response) {
+          const propagated = traceContext.parseTraceparent(response.body);
+          assert.strictEqual(propagated.traceId, TRACE_ID);
+          assert.notStrictEqual(propagated.spanId, PARENT_ID);
+
+          const incoming = events.find(function (event) {
+            return event.direction === 'Incoming';
+          });
+          const outgoing = events.find(function (event) {
+            return event.direction === 'Outgoing';
+          });
+          assert.strictEqual(incoming.metadata.trace_id, TRACE_ID);
+          assert.strictEqual(incoming.metadata.span_id, PARENT_ID);
+          assert.strictEqual(outgoing.metadata.trace_id, TRACE_ID);
+          assert.strictEqual(outgoing.metadata.span_id, propagated.spanId);
+        });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const assert = require('assert');
+const http = require('http');
+const createTransportController = require('../lib/transport');
+const patch = require('../lib/outgoing');
+
+describe('transport', function () {
+  function sendBatch(controller, events) {
+    return new Promise(function (resolve) {
+      controller.createEventsBatch(events, function (err, response) {
+        resolve({ err: err, response: response });
+      });
+    });
+  }
+
+  it('hands batches to sendBatch and calls back with its result', function () {
+    const sent = [];
+    const controller = createTransportController({
+      sendBatch: function (events) {
+        sent.push(events);
+        return Promise.resolve('ok');
+      },
+    });
+
+    return sendBatch(controller, [{ id: 1 }, { id: 2 }]).then(function (result) {
+      assert.strictEqual(result.err, null);
+      assert.strictEqual(result.response, 'ok');
+      assert.deepStrictEqual(sent, [[{ id: 1 }, { id: 2 }]]);
+    });
+  });
+
+  it('sends single events as a batch of one', function (done) {
+    const controller = createTransportController({
+      sendBatch: function (events) {
+        assert.deepStrictEqual(events, [{ id: 1 }]);
+        return Promise.resolve();
+      },
+    });
+
+    controller.createEvent({ id: 1 }, done);
+  });
+
+  it('passes on rejections, keeping retry hints', function () {
+    const controller = createTransportController({
+      sendBatch: function () {
+        return Promise.reject(Object.assign(new Error('broker down'), { retryable: false }));
+      },
+    });
+
+    return sendBatch(controller, [{ id: 1 }]).then(function (result) {
+      assert.strictEqual(result.err.message, 'broker down');
+      assert.strictEqual(result.err.retryable, false);
+    });
+  });
+
+  it('turns thrown errors and non error rejections into errors', function () {
+    const throwing = createTransportController({
+      sendBatch: function () {
+        throw new Error('not connected');
+      },
+    });
+    const rejectingWithString = createTransportController({
+      sendBatch: function () {
+        return Promise.reject('timeout');
+      },
+    });
+
+    return Promise.all([
+      sendBatch(throwing, [{ id: 1 }]),
+      sendBatch(rejectingWithString, [{ id: 1 }]),
+    ]).then(function (results) {
+      assert.strictEqual(results[0].err.message, 'not connected');
+      assert.strictEqual(results[1].err.message, 'transport failed to send events: timeout');
+    });
+  });
+  it('calls back outside of the promise chain', function (done) {
+    const controller = createTransportController({
+      sendBatch: function () {
+        return Promise.resolve();
+      },
+    });
+    // mocha fails the test on uncaught exceptions, so its handlers are put back afterwards.
+    const uncaughtHandlers = process.listeners('uncaughtException');
+    process.removeAllListeners('uncaughtException');
+    const finish = function (err) {
+      process.removeListener('unhandledRejection', onRejection);
+      uncaughtHandlers.forEach(function (handler) {
+        process.on('uncaughtException', handler);
+      });
+      done(err);
+    };
+    const onRejection = function () {
+      process.removeAllListeners('uncaughtException');
+      finish(new Error('the callback error became an unhandled rejection'));
+    };
+    process.on('unhandledRejection', onRejection);
+    process.once('uncaughtException', function (err) {
+      finish(err.message === 'callback failed' ? undefined : err);
+    });
+
+    controller.createEventsBatch([{ id: 1 }], function () {
+      throw new Error('callback failed');
+    });
+  });
+
+  it('does not capture the calls of a transport using fetch', function () {
+    const received = [];
+    const recorded = [];
+    const server = http.createServer(function (req, res) {
+      received.push(req.url);
+      res.end('{}');
+    });
+    let unpatch = function () {};
+
+    return new Promise(function (resolve) {
+      server.listen(0, '127.0.0.1', resolve);
+    })
+      .then(function () {
+        const baseUrl = 'http://127.0.0.1:' + server.address().port;
+        unpatch = patch(
+          function (event) {
+            recorded.push(event.request.uri);
+          },
+          function () {},
+          { maxOutgoingTimeout: 2000 }
+        );
+        const controller = createTransportController({
+          sendBatch: function (events) {
+            return fetch(baseUrl + '/collect', {
+              method: 'POST',
+              body: JSON.stringify(events),
+            }).then(function (response) {
+              return response.text();
+            });
+          },
+        });
+        return sendBatch(controller, [{ id: 1 }]).then(function (result) {
+          assert.strictEqual(result.err, null);
+          // calls of the app are still captured.
+          return fetch(baseUrl + '/app').then(function (response) {
+            return response.text();
+          });
+        });
+      })
+      .then(function () {
+        assert.deepStrictEqual(received, ['/collect', '/app']);
+        assert.strictEqual(recorded.length, 1);
+        assert.match(recorded[0], /\/app$/);
+      })
+      .finally(function () {
+        unpatch();
+        return new Promise(function (resolve) {
+          server.close(resolve);
+        });
+      });
+  });
+});